@@ -0,0 +1,47 @@
+// shopify-custom-price/api/audit-log.js
+import { isAdminRequest } from "../lib/admin-auth.js";
+import { getAuditLog } from "../lib/audit.js";
+import { validateDateRange, ValidationError, validationErrorBody } from "../lib/validation.js";
+
+const MAX_LIMIT = 1000;
+
+/* -------------------------------------------------
+   Audit log search
+   GET ?variantId=&productId=&from=&to=&limit=
+   variantId matches the created / reused variant or
+   the base variant; from / to are ISO dates. Newest
+   entries first, `limit` default 100 (max. 1000).
+   Needs ADMIN_API_SECRET (lib/admin-auth.js).
+-------------------------------------------------- */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const log = getAuditLog();
+  if (!log) {
+    return res.status(404).json({ error: "Audit log is disabled" });
+  }
+
+  try {
+    const { variantId, productId, limit } = req.query || {};
+    const { from, to } = validateDateRange(req.query);
+
+    const count = limit === undefined ? 100 : Number(limit);
+    if (!Number.isInteger(count) || count <= 0 || count > MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+    }
+
+    const entries = await log.search({ variantId, productId, from, to, limit: count });
+    res.status(200).json({ count: entries.length, entries });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(err.status).json(validationErrorBody(err));
+    }
+    console.error("✖ Audit log search failed:", err);
+    res.status(500).json({ error: "Audit log search failed" });
+  }
+}
@@ -1,9 +1,20 @@
 // shopify-custom-price/api/calculate-price.js
-import fetch from "node-fetch";
-
-const SHOP = process.env.SHOPIFY_SHOP;
-const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
-const API_VERSION = "2024-04";
+import { quoteAuditEntry, recordAudit } from "../lib/audit.js";
+import {
+  calculatePrice,
+  loadPricingContext,
+  PricingError,
+  PRICING_MODES,
+  toGid
+} from "../lib/pricing.js";
+import { loadMarketContext, presentmentQuote } from "../lib/markets.js";
+import { sendShopifyError } from "../lib/shopify.js";
+import { loadTaxContext, taxBreakdown } from "../lib/tax.js";
+import {
+  validateQuoteRequest,
+  ValidationError,
+  validationErrorBody
+} from "../lib/validation.js";
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
@@ -11,86 +22,61 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { productId, mode, lengthMm, widthMm, quantity } = req.body;
+    const {
+      productId,
+      selectedVariantId,
+      mode,
+      unit,
+      dimensions,
+      quantity
+    } = validateQuoteRequest(req.body, PRICING_MODES, { requireQuantity: true });
 
-    if (!productId || !mode || !quantity) {
-      return res.status(400).json({ error: "Missing parameters" });
-    }
-    if (mode === "area" && (!lengthMm || !widthMm)) {
-      return res.status(400).json({ error: "Missing length/width for area mode" });
-    }
-    if (mode !== "area" && !lengthMm && !widthMm) {
-      return res.status(400).json({ error: "Missing dimension (lengthMm or widthMm)" });
-    }
+    /* 1. Get base price (per price unit, unit² or unit³) and pricing rules */
+    const context = await loadPricingContext(productId, selectedVariantId);
 
-    /* 1. Get base price (per meter or per m²) */
-    const response = await fetch(
-      `https://${SHOP}/admin/api/${API_VERSION}/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "X-Shopify-Access-Token": TOKEN,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-          query: `
-            query ($id: ID!) {
-              product(id: $id) {
-                title
-                variants(first: 1) {
-                  edges {
-                    node {
-                      price
-                    }
-                  }
-                }
-              }
-            }
-          `,
-          variables: { id: productId }
-        })
-      }
-    );
+    /* 2. Calculate price */
+    const quote = calculatePrice({
+      pricePerUnit: context.pricePerUnit,
+      mode,
+      unit,
+      dimensions,
+      quantity,
+      rules: context.rules
+    });
 
-    const json = await response.json();
-    const pricePerUnit = parseFloat(
-      json.data.product.variants.edges[0].node.price
+    /* 3. Presentment currency for a country / market (optional) */
+    const market = await loadMarketContext(
+      { country: req.body.country, market: req.body.market },
+      toGid("ProductVariant", context.baseVariantId)
     );
 
-    /* 2. Calculate price */
-    const qty = Number(quantity);
-    const lenM = lengthMm ? Number(lengthMm) / 1000 : null;
-    const widM = widthMm ? Number(widthMm) / 1000 : null;
-
-    let unitPrice;
-    let calcDetails = {};
+    /* 4. Net / tax / gross (b2b: true for a net quote) */
+    const tax = await loadTaxContext({
+      country: market?.country ?? req.body.country,
+      b2b: req.body.b2b
+    });
 
-    if (mode === "area") {
-      const areaSqm = Math.max(0, (lenM || 0) * (widM || 0));
-      unitPrice = Math.round(pricePerUnit * areaSqm * 100) / 100;
-      calcDetails = { areaSqm };
-    } else {
-      const dimensionM = lenM ?? widM;
-      unitPrice = Math.round(pricePerUnit * dimensionM * 100) / 100;
-      calcDetails = { meters: dimensionM };
-    }
+    const presentment = market && presentmentQuote(quote, market);
+    if (presentment) presentment.tax = taxBreakdown(presentment, tax, presentment.currencyCode);
 
-    const totalPrice = Math.round(unitPrice * qty * 100) / 100;
+    await recordAudit(quoteAuditEntry("calculate-price", context, { ...quote, presentment }));
 
-    /* 3. Return result */
+    /* 5. Return result */
     res.status(200).json({
-      product: json.data.product.title,
-      pricePerUnit,
-      mode,
-      lengthMm: lengthMm ?? null,
-      widthMm: widthMm ?? null,
-      quantity: qty,
-      unitPrice,
-      totalPrice,
-      ...calcDetails
+      product: context.productTitle,
+      ...quote,
+      tax: taxBreakdown(quote, tax),
+      ...(presentment && { presentment })
     });
 
   } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(err.status).json(validationErrorBody(err));
+    }
+    if (err instanceof PricingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (sendShopifyError(res, err)) return;
     console.error(err);
     res.status(500).json({ error: "Calculation failed" });
   }
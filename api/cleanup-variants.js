@@ -1,78 +1,73 @@
-import fetch from "node-fetch";
-
-const SHOP = process.env.SHOPIFY_SHOP;
-const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
-const API_VERSION = "2024-04";
+import {
+  assertNoUserErrors,
+  loadRemainingEdges,
+  sendShopifyError,
+  shopifyFetch
+} from "../lib/shopify.js";
+import {
+  BUFFER_MINUTES,
+  isOlderThanBuffer,
+  lastTouchedAt,
+  loadVariantReferences
+} from "../lib/temp-variants.js";
+import { isTemporaryVariant } from "../lib/variant-labels.js";
 
 const MAX_VARIANTS = Number(process.env.TEMP_VARIANT_MAX_COUNT || 100);
-const BUFFER_MINUTES = Number(process.env.TEMP_VARIANT_BUFFER_MINUTES || 120);
-
-/* -------------------------------------------------
-   Shopify GraphQL helper
--------------------------------------------------- */
-async function shopifyFetch(query, variables = {}) {
-  const res = await fetch(
-    `https://${SHOP}/admin/api/${API_VERSION}/graphql.json`,
-    {
-      method: "POST",
-      headers: {
-        "X-Shopify-Access-Token": TOKEN,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ query, variables })
-    }
-  );
-
-  const json = await res.json();
-
-  if (json.errors) {
-    console.error("✖ Shopify GraphQL errors:", json.errors);
-    throw json.errors;
-  }
-
-  return json.data;
-}
-
-/* -------------------------------------------------
-   Helpers
--------------------------------------------------- */
-// const tempTitleRegex =
-//   /^(Length|Width)\s*\|\s*\d+\s*mm(\s*X\s*Width\s*\|\s*\d+\s*mm|\s*X\s*Length\s*\|\s*\d+\s*mm)?$/i;
-
-const tempTitleRegex = /^(Länge|Breite|Length|Width)\s*\|\s*\d+\s*mm(\s*X\s*(Länge|Breite|Length|Width)\s*\|\s*\d+\s*mm)?$/i;
-
-function isTemporaryVariant(title) {
-  return tempTitleRegex.test(title);
-}
-
-function isOlderThanBuffer(createdAt) {
-  const createdTime = new Date(createdAt).getTime();
-  const bufferMs = BUFFER_MINUTES * 60 * 1000;
-  return Date.now() - createdTime > bufferMs;
-}
 
 /* -------------------------------------------------
    Cleanup logic
+   Returns a report for the product; with dryRun
+   nothing is deleted. Variants still referenced by an
+   open order, draft order or recent checkout are never
+   deleted and are listed in `skippedReferenced`.
 -------------------------------------------------- */
-async function cleanupProductVariants(product) {
+const summarize = v => ({ id: v.id, title: v.title });
+
+async function cleanupProductVariants(product, { dryRun, maxCount, getReferences }) {
   const tempVariants = product.variants.edges
     .map(e => e.node)
     .filter(v => isTemporaryVariant(v.title));
 
-  if (tempVariants.length <= MAX_VARIANTS) return;
+  const report = {
+    productId: product.id,
+    title: product.title,
+    tempVariantCount: tempVariants.length,
+    excessCount: Math.max(0, tempVariants.length - maxCount),
+    deletableCount: 0,
+    toDelete: [],
+    keptByBuffer: tempVariants
+      .filter(v => !isOlderThanBuffer(v))
+      .map(v => ({ ...summarize(v), lastTouchedAt: new Date(lastTouchedAt(v)).toISOString() })),
+    skippedReferenced: [],
+    deleted: 0
+  };
+
+  if (report.excessCount === 0) return report;
 
-  const deletable = tempVariants
-    .filter(v => isOlderThanBuffer(v.createdAt))
-    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  // A variant can only be in orders created after it
+  const oldEnough = tempVariants.filter(v => isOlderThanBuffer(v));
+  const since = Math.min(...oldEnough.map(v => new Date(v.createdAt).getTime()));
+  const references = oldEnough.length > 0 ? await getReferences(since) : new Map();
 
-  const excessCount = tempVariants.length - MAX_VARIANTS;
-  const toDelete = deletable.slice(0, excessCount);
+  report.skippedReferenced = oldEnough
+    .filter(v => references.has(v.id))
+    .map(v => ({ ...summarize(v), reason: references.get(v.id) }));
+
+  const deletable = oldEnough
+    .filter(v => !references.has(v.id))
+    .sort((a, b) => lastTouchedAt(a) - lastTouchedAt(b));
+
+  const toDelete = deletable.slice(0, report.excessCount);
+  report.deletableCount = deletable.length;
+  report.toDelete = toDelete.map(summarize);
 
   if (toDelete.length === 0) {
     console.log("⚠ No variants eligible for deletion yet (buffer time)");
-    return;
+    return report;
   }
 
+  if (dryRun) return report;
+
   const variantsIds = toDelete.map(v => v.id);
 
   const result = await shopifyFetch(
@@ -86,58 +81,193 @@ async function cleanupProductVariants(product) {
     { productId: product.id, variantsIds }
   );
 
-  const errors = result.productVariantsBulkDelete.userErrors;
-  if (errors.length > 0) {
-    console.error("✖ Bulk delete errors:", errors);
-    throw new Error("Bulk variant delete failed");
-  }
+  assertNoUserErrors(result.productVariantsBulkDelete, "Bulk variant delete");
 
   console.log(`✔ Deleted ${variantsIds.length} variants`);
+  report.deleted = variantsIds.length;
+  return report;
 }
 
 /* -------------------------------------------------
-   Cron handler
+   Products to clean up
+   all products, or only the given products / collections
 -------------------------------------------------- */
-export default async function handler(req, res) {
-  console.log("⏱ Variant cleanup job started");
+// 5 products × 100 variants stays below Shopify's 1000-point query cost limit
+const PRODUCTS_PAGE = 5;
+const VARIANTS_PAGE = 100;
 
-  try {
+const VARIANT_FIELDS = "id title createdAt updatedAt";
+
+const PRODUCT_FIELDS = `
+  id
+  title
+  variants(first: ${VARIANTS_PAGE}) {
+    edges { node { ${VARIANT_FIELDS} } cursor }
+    pageInfo { hasNextPage }
+  }
+`;
+
+// Products with more variants than one page
+async function withAllVariants(product) {
+  const edges = await loadRemainingEdges(
+    product.id,
+    "Product",
+    "variants",
+    VARIANT_FIELDS,
+    product.variants,
+    VARIANTS_PAGE
+  );
+  return { ...product, variants: { edges } };
+}
+
+const parseIdList = (value, type) =>
+  (value ? value.toString().split(",") : [])
+    .map(id => id.trim())
+    .filter(Boolean)
+    .map(id => (id.startsWith("gid://") ? id : `gid://shopify/${type}/${id}`));
+
+async function forEachProduct({ productIds, collectionIds }, callback) {
+  for (let i = 0; i < productIds.length; i += PRODUCTS_PAGE) {
+    const data = await shopifyFetch(
+      `
+      query ($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product { ${PRODUCT_FIELDS} }
+        }
+      }
+      `,
+      { ids: productIds.slice(i, i + PRODUCTS_PAGE) }
+    );
+
+    for (const product of data.nodes.filter(node => node?.variants)) {
+      await callback(await withAllVariants(product));
+    }
+  }
+
+  // Without a scope, page through all products
+  const sources = collectionIds.length > 0 || productIds.length > 0
+    ? collectionIds
+    : [null];
+
+  for (const collectionId of sources) {
     let hasNextPage = true;
     let cursor = null;
 
     while (hasNextPage) {
       const data = await shopifyFetch(
-        `
-        query ($cursor: String) {
-          products(first: 20, after: $cursor) {
-            edges {
-              node {
-                id
-                variants(first: 250) {
-                  edges { node { id title createdAt } }
+        collectionId
+          ? `
+            query ($id: ID!, $cursor: String) {
+              collection(id: $id) {
+                products(first: ${PRODUCTS_PAGE}, after: $cursor) {
+                  edges { node { ${PRODUCT_FIELDS} } cursor }
+                  pageInfo { hasNextPage }
                 }
               }
-              cursor
             }
-            pageInfo { hasNextPage }
-          }
-        }
-        `,
-        { cursor }
+            `
+          : `
+            query ($cursor: String) {
+              products(first: ${PRODUCTS_PAGE}, after: $cursor) {
+                edges { node { ${PRODUCT_FIELDS} } cursor }
+                pageInfo { hasNextPage }
+              }
+            }
+            `,
+        collectionId ? { id: collectionId, cursor } : { cursor }
       );
 
-      for (const edge of data.products.edges) {
-        await cleanupProductVariants(edge.node);
+      const products = collectionId ? data.collection?.products : data.products;
+      if (!products) {
+        console.warn(`⚠ Collection ${collectionId} not found`);
+        break;
+      }
+
+      for (const edge of products.edges) {
+        await callback(await withAllVariants(edge.node));
       }
 
-      hasNextPage = data.products.pageInfo.hasNextPage;
-      cursor = data.products.edges.at(-1)?.cursor || null;
+      hasNextPage = products.pageInfo.hasNextPage;
+      cursor = products.edges.at(-1)?.cursor || null;
     }
+  }
+}
+
+/* -------------------------------------------------
+   Cron handler
+
+   Query parameters (all optional):
+   dryRun=true            report only, delete nothing
+   productIds=1,2         limit to these products
+   collectionIds=3,4      limit to products in these collections
+   maxCount=50            override TEMP_VARIANT_MAX_COUNT (dry runs only)
+-------------------------------------------------- */
+export default async function handler(req, res) {
+  const query = req.query || {};
+  const dryRun = query.dryRun === "true" || query.dryRun === "1";
+  const maxCount = query.maxCount !== undefined ? Number(query.maxCount) : MAX_VARIANTS;
+
+  if (!Number.isInteger(maxCount) || maxCount < 0) {
+    return res.status(400).json({ error: "Invalid maxCount" });
+  }
+  // Trying out another limit must never delete anything
+  if (query.maxCount !== undefined && !dryRun) {
+    return res.status(400).json({ error: "maxCount is only allowed with dryRun=true" });
+  }
+
+  console.log(`⏱ Variant cleanup job started${dryRun ? " (dry run)" : ""}`);
+
+  try {
+    const scope = {
+      productIds: parseIdList(query.productIds, "Product"),
+      collectionIds: parseIdList(query.collectionIds, "Collection")
+    };
+
+    // Orders / draft orders / checkouts are loaded once per run, and only if
+    // needed; orders only back to the oldest candidate (again if a later
+    // product has an older one)
+    let references = null;
+    let referencesSince = Infinity;
+    const getReferences = async since => {
+      if (since < referencesSince) {
+        references = await loadVariantReferences({ since });
+        referencesSince = since;
+      }
+      return references;
+    };
+
+    const seen = new Set();
+    const products = [];
+
+    await forEachProduct(scope, async product => {
+      if (seen.has(product.id)) return;
+      seen.add(product.id);
+
+      const report = await cleanupProductVariants(product, {
+        dryRun,
+        maxCount,
+        getReferences
+      });
+      if (report.tempVariantCount > 0) products.push(report);
+    });
 
     console.log("✔ Variant cleanup completed");
-    res.status(200).send("OK");
+    res.status(200).json({
+      dryRun,
+      maxCount,
+      bufferMinutes: BUFFER_MINUTES,
+      productCount: products.length,
+      toDeleteCount: products.reduce((sum, p) => sum + p.toDelete.length, 0),
+      deletedCount: products.reduce((sum, p) => sum + p.deleted, 0),
+      skippedReferencedCount: products.reduce(
+        (sum, p) => sum + p.skippedReferenced.length,
+        0
+      ),
+      products
+    });
   } catch (err) {
     console.error("🔥 Cleanup failed:", err);
+    if (sendShopifyError(res, err)) return;
     res.status(500).send("Cleanup failed");
   }
 }
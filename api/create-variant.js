@@ -1,308 +1,378 @@
-import fetch from "node-fetch";
+import {
+  calculatePrice,
+  loadPricingContext,
+  METAFIELD_NAMESPACE,
+  PricingError,
+  PRICING_MODES,
+  toGid
+} from "../lib/pricing.js";
+import { isStorefrontRequest } from "../lib/app-proxy.js";
+import { quoteAuditEntry, recordAudit } from "../lib/audit.js";
+import { getStockingLocationIds } from "../lib/locations.js";
+import {
+  clearFixedPrices,
+  loadMarketContext,
+  presentmentQuote,
+  setMarketFixedPrice
+} from "../lib/markets.js";
+import { checkCreateVariantLimits } from "../lib/rate-limit.js";
+import {
+  assertNoUserErrors,
+  sendShopifyError,
+  shopifyFetch,
+  ShopifyNotFoundError,
+  ShopifyUserError
+} from "../lib/shopify.js";
+import {
+  validateQuoteRequest,
+  ValidationError,
+  validationErrorBody
+} from "../lib/validation.js";
+import { formatVariantLabel } from "../lib/variant-labels.js";
+import { pickPoolVariant, shouldUsePool } from "../lib/variant-pool.js";
 
-const SHOP = process.env.SHOPIFY_SHOP;
-const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
-const API_VERSION = "2024-04";
+const STARTER_METAFIELD = {
+  namespace: METAFIELD_NAMESPACE,
+  key: "starter_variant_id",
+  type: "single_line_text_field"
+};
 
-export default async function handler(req, res) {
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
+const toNumericId = gid => Number(gid.split("/").pop());
+
+// Exact-match search value (quotes and backslashes escaped)
+const searchValue = value => `"${value.replace(/["\\]/g, "\\$&")}"`;
+
+/* -------------------------------------------------
+   Product options + variant with the requested label
+   One targeted query instead of loading every variant.
+-------------------------------------------------- */
+async function findProductVariant(productGid, label) {
+  const data = await shopifyFetch(
+    `
+    query ($id: ID!, $variantQuery: String!) {
+      product(id: $id) {
+        options { id name }
+        variantsCount { count }
+      }
+      productVariants(first: 5, query: $variantQuery) {
+        edges { node { id title price } }
+      }
+    }
+    `,
+    {
+      id: productGid,
+      variantQuery: `product_id:${toNumericId(productGid)} AND title:${searchValue(label)}`
+    }
+  );
+
+  if (!data.product) {
+    throw new ShopifyNotFoundError("Product not found");
   }
 
-  try {
-    const {
-      productId,
-      selectedVariantId,
-      mode,          // "length" | "width" | "area"
-      lengthMm,      // number or null
-      widthMm        // number or null
-    } = req.body;
+  return {
+    options: data.product.options,
+    variantCount: data.product.variantsCount.count,
+    // Search is tokenised, so confirm the exact title
+    existingVariant:
+      data.productVariants.edges.map(e => e.node).find(v => v.title === label) ?? null
+  };
+}
 
-    if (!productId || !mode) {
-      return res.status(400).json({ error: "Missing parameters" });
+/* -------------------------------------------------
+   Option the temporary variants are created under
+   A product with only "Default Title" gets its option
+   renamed to "Dimensions".
+-------------------------------------------------- */
+async function prepareOption(productGid, options) {
+  const [option] = options;
+  if (options.length !== 1 || option.name !== "Title") return option.name;
+
+  const data = await shopifyFetch(
+    `
+    mutation ($productId: ID!, $option: OptionUpdateInput!) {
+      productOptionUpdate(productId: $productId, option: $option) {
+        userErrors { field message }
+      }
     }
+    `,
+    { productId: productGid, option: { id: option.id, name: "Dimensions" } }
+  );
+  assertNoUserErrors(data.productOptionUpdate, "Product option update");
 
-    // Validate inputs by mode
-    if (mode === "area") {
-      if (!lengthMm || !widthMm) {
-        return res.status(400).json({ error: "Length and width are required for area mode" });
+  return "Dimensions";
+}
+
+/* -------------------------------------------------
+   Update variants (price, label, metafields)
+-------------------------------------------------- */
+async function updateVariants(productGid, variants) {
+  const data = await shopifyFetch(
+    `
+    mutation ($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+        productVariants { id }
+        userErrors { field message }
       }
-    } else if (mode === "length" || mode === "width") {
-      const dim = mode === "length" ? lengthMm : widthMm;
-      if (!dim) {
-        return res.status(400).json({ error: `Missing ${mode}Mm` });
+    }
+    `,
+    { productId: productGid, variants }
+  );
+  assertNoUserErrors(data.productVariantsBulkUpdate, "Variant update");
+}
+
+/* -------------------------------------------------
+   Create a variant with its starter variant metafield
+   and 0 stock at every location, in one mutation
+-------------------------------------------------- */
+async function createVariant(productGid, variant) {
+  const data = await shopifyFetch(
+    `
+    mutation ($productId: ID!, $variants: [ProductVariantsBulkCreateInput!]!) {
+      productVariantsBulkCreate(productId: $productId, variants: $variants) {
+        productVariants { id }
+        userErrors { field message code }
       }
-    } else {
-      return res.status(400).json({ error: "Invalid mode" });
     }
+    `,
+    { productId: productGid, variants: [variant] }
+  );
+  assertNoUserErrors(data.productVariantsBulkCreate, "Variant creation");
 
-    /* --------------------------------
-       1. Read base price from SELECTED variant (or first if not provided)
-    -------------------------------- */
-    const numericProductId = productId.split("/").pop();
-
-    let pricePerUnit;
-    let starterVariantId;
-
-    const fetchFirstVariantPrice = async () => {
-      const gqlResp = await fetch(
-        `https://${SHOP}/admin/api/${API_VERSION}/graphql.json`,
-        {
-          method: "POST",
-          headers: {
-            "X-Shopify-Access-Token": TOKEN,
-            "Content-Type": "application/json"
-          },
-          body: JSON.stringify({
-            query: `
-              query ($id: ID!) {
-                product(id: $id) {
-                  variants(first: 1) {
-                    edges {
-                      node {
-                        id
-                        price
-                      }
-                    }
-                  }
-                }
-              }
-            `,
-            variables: { id: productId }
-          })
-        }
-      );
-      const gqlJson = await gqlResp.json();
-      pricePerUnit = parseFloat(gqlJson.data.product.variants.edges[0].node.price);
-      const firstVariantGid = gqlJson.data.product.variants.edges[0].node.id;
-      starterVariantId = firstVariantGid.split("/").pop();
-    };
+  return data.productVariantsBulkCreate.productVariants[0];
+}
 
-    if (selectedVariantId) {
-      const numericVariantId = selectedVariantId
-        .toString()
-        .replace(/^gid:\/\/shopify\/ProductVariant\//, "");
+// Creation rejected because the label exists (e.g. created by a
+// parallel request the variant search does not show yet)
+const isVariantExistsError = err =>
+  err instanceof ShopifyUserError &&
+  err.userErrors.some(
+    e => e.code === "VARIANT_ALREADY_EXISTS" || /already exists/i.test(e.message || "")
+  );
 
-      const variantResp = await fetch(
-        `https://${SHOP}/admin/api/${API_VERSION}/variants/${numericVariantId}.json`,
-        {
-          headers: { "X-Shopify-Access-Token": TOKEN }
+/* -------------------------------------------------
+   All variants of a product, read from the product
+   itself (the variant search index can lag behind).
+   Loaded near the variant limit for pooling, and when
+   a creation collides with an existing label.
+-------------------------------------------------- */
+async function loadProductVariants(productGid) {
+  const data = await shopifyFetch(
+    `
+    query ($id: ID!) {
+      product(id: $id) {
+        variants(first: 250) {
+          edges { node { id title price createdAt updatedAt } }
         }
-      );
-
-      if (variantResp.ok) {
-        const variantJson = await variantResp.json();
-        pricePerUnit = parseFloat(variantJson.variant.price);
-        starterVariantId = numericVariantId;
-      } else {
-        console.warn(`Selected variant ${numericVariantId} not found, falling back to first variant`);
-        await fetchFirstVariantPrice();
       }
-    } else {
-      await fetchFirstVariantPrice(); // backward compatibility
+    }
+    `,
+    { id: productGid }
+  );
+  return data.product.variants.edges.map(e => e.node);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Optional: only accept storefront requests signed by the App Proxy
+  if (!isStorefrontRequest(req)) {
+    return res.status(403).json({ error: "Invalid app proxy signature" });
+  }
+
+  try {
+    // Rejects NaN, negative, fractional-mm and out-of-range input
+    // before anything is created (product limits follow in calculatePrice)
+    const {
+      productId,
+      selectedVariantId,
+      mode,          // "length" | "width" | "area" | "perimeter" | "circle" | "volume"
+      locale,        // label language, e.g. "de" | "en" (default: DEFAULT_LOCALE)
+      unit,          // "mm" | "cm" | "m" | "in" | "ft" (default "mm")
+      dimensions,    // length, width, diameter, thickness (or legacy lengthMm, widthMm, ...)
+      quantity       // pieces in the cart, selects the volume tier (default 1)
+    } = validateQuoteRequest(req.body, PRICING_MODES);
+
+    const limited = await checkCreateVariantLimits(req, productId);
+    if (limited) {
+      res.setHeader("Retry-After", String(limited.retryAfter));
+      return res.status(429).json({
+        error: "Too many requests",
+        scope: limited.scope,
+        limit: limited.limit,
+        retryAfter: limited.retryAfter
+      });
     }
 
     /* --------------------------------
-       1.5 Compute price for mode
+       1. Read base price + rules from SELECTED variant (or first if not provided)
     -------------------------------- */
-    const lenM = lengthMm ? Number(lengthMm) / 1000 : null;
-    const widM = widthMm ? Number(widthMm) / 1000 : null;
-
-    let unitPrice;
-    let variantOptionValue;
-
-    if (mode === "area") {
-      const areaSqM = (lenM || 0) * (widM || 0);
-      unitPrice = Math.round(pricePerUnit * areaSqM * 100) / 100;
-      variantOptionValue = `Länge | ${lengthMm} mm X Breite | ${widthMm} mm`;
-    } else {
-      const dimMm = mode === "length" ? lengthMm : widthMm;
-      const meters = Number(dimMm) / 1000;
-      unitPrice = Math.round(pricePerUnit * meters * 100) / 100;
-      const label = mode === "length" ? "Länge" : "Breite";
-      variantOptionValue = `${label} | ${dimMm} mm`;
-    }
+    const context = await loadPricingContext(productId, selectedVariantId);
+    const starterVariantId = context.baseVariantId;
 
     /* --------------------------------
-       2. Get/prepare product options (REST)
+       1.5 Compute price for mode (shared with calculate-price)
     -------------------------------- */
-    const productResp = await fetch(
-      `https://${SHOP}/admin/api/${API_VERSION}/products/${numericProductId}.json`,
-      {
-        headers: { "X-Shopify-Access-Token": TOKEN }
-      }
+    const quote = calculatePrice({
+      pricePerUnit: context.pricePerUnit,
+      mode,
+      unit,
+      dimensions,
+      quantity,
+      rules: context.rules
+    });
+    const unitPrice = quote.unitPrice;
+
+    /* --------------------------------
+       1.6 Presentment price for a country / market (optional)
+    -------------------------------- */
+    const market = await loadMarketContext(
+      { country: req.body.country, market: req.body.market },
+      toGid("ProductVariant", starterVariantId)
     );
+    const presentment = market && presentmentQuote(quote, market);
 
-    const productJson = await productResp.json();
-    let optionName = "Dimensions";
-
-    if (
-      productJson.product.options.length === 1 &&
-      productJson.product.options[0].name === "Title"
-    ) {
-      // Product has Default Title only → replace option
-      await fetch(
-        `https://${SHOP}/admin/api/${API_VERSION}/products/${numericProductId}.json`,
-        {
-          method: "PUT",
-          headers: {
-            "X-Shopify-Access-Token": TOKEN,
-            "Content-Type": "application/json"
-          },
-          body: JSON.stringify({
-            product: {
-              id: numericProductId,
-              options: [{ name: optionName }]
-            }
-          })
-        }
+    // Fix the variant's price in the market's price list, so the
+    // checkout total equals the configurator total
+    const fixMarketPrice = variantGid =>
+      market && setMarketFixedPrice(market, variantGid, presentment.unitPrice);
+
+    const audit = (variantGid, action) =>
+      recordAudit(
+        quoteAuditEntry("create-variant", context, { ...quote, presentment }, {
+          variantId: variantGid,
+          action
+        })
       );
-    } else {
-      optionName = productJson.product.options[0].name;
-    }
+
+    const variantOptionValue = formatVariantLabel(quote, locale);
+
+    const variantResponse = variantId => ({
+      success: true,
+      variantId,
+      price: unitPrice,
+      tier: quote.tier,
+      undiscountedPrice: quote.undiscountedUnitPrice,
+      unit: quote.unit,
+      dimensions: quote.dimensions,
+      lengthMm: quote.lengthMm,
+      widthMm: quote.widthMm,
+      diameterMm: quote.diameterMm,
+      thicknessMm: quote.thicknessMm,
+      mode,
+      ...(presentment && { presentment })
+    });
 
     /* --------------------------------
-       2.5. Check if variant already exists
+       2. Product options + existing variant (GraphQL)
     -------------------------------- */
-    const existingVariant = productJson.product.variants.find(
-      (v) => v.option1 === variantOptionValue
+    const productGid = toGid("Product", productId);
+    const { options, variantCount, existingVariant } = await findProductVariant(
+      productGid,
+      variantOptionValue
     );
 
-    if (existingVariant) {
-      console.log("Variant already exists:", existingVariant.id);
+    const reuseVariant = async existing => {
+      console.log("Variant already exists:", existing.id);
+
+      // Keep the variant in line with the current quote (rules may have changed);
+      // fixed prices in other markets were derived from the old price
+      if (parseFloat(existing.price) !== unitPrice) {
+        await updateVariants(productGid, [{ id: existing.id, price: unitPrice }]);
+        await clearFixedPrices(existing.id);
+      }
+      await fixMarketPrice(existing.id);
+      await audit(existing.id, "reused");
+
       return res.status(200).json({
-        success: true,
-        variantId: existingVariant.id,
-        price: existingVariant.price,
-        lengthMm: lengthMm ?? null,
-        widthMm: widthMm ?? null,
-        mode,
+        ...variantResponse(toNumericId(existing.id)),
         isExisting: true
       });
+    };
+
+    if (existingVariant) {
+      return reuseVariant(existingVariant);
     }
 
+    const optionName = await prepareOption(productGid, options);
+    const optionValues = [{ optionName, name: variantOptionValue }];
+    const metafields = [{ ...STARTER_METAFIELD, value: String(starterVariantId) }];
+
     /* --------------------------------
-       3. Create variant (REST)
+       2.5. Near the variant limit: reuse a pooled slot
     -------------------------------- */
-    const createVariantResp = await fetch(
-      `https://${SHOP}/admin/api/${API_VERSION}/products/${numericProductId}/variants.json`,
-      {
-        method: "POST",
-        headers: {
-          "X-Shopify-Access-Token": TOKEN,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-          variant: {
-            option1: variantOptionValue,
-            price: unitPrice,
-            inventory_management: "shopify",
-            inventory_policy: "continue"
-          }
-        })
-      }
-    );
+    if (shouldUsePool(variantCount)) {
+      const pooled = await pickPoolVariant(await loadProductVariants(productGid));
 
-    const createVariantJson = await createVariantResp.json();
+      if (pooled) {
+        console.log("Reusing pooled variant:", pooled.id, pooled.title);
 
-    if (!createVariantResp.ok) {
-      console.error("Variant REST error:", createVariantJson);
-      return res.status(400).json(createVariantJson);
-    }
-
-    const variant = createVariantJson.variant;
+        await updateVariants(productGid, [
+          { id: pooled.id, optionValues, price: unitPrice, metafields }
+        ]);
+        // Fixed prices of the old label must not survive in any market
+        await clearFixedPrices(pooled.id);
+        await fixMarketPrice(pooled.id);
+        await audit(pooled.id, "pooled");
 
-    /* --------------------------------
-       3.5. Store starter variant ID as metafield on temporary variant
-    -------------------------------- */
-    const variantGid = `gid://shopify/ProductVariant/${variant.id}`;
-
-    const metafieldResp = await fetch(
-      `https://${SHOP}/admin/api/${API_VERSION}/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "X-Shopify-Access-Token": TOKEN,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-          query: `
-            mutation ($input: MetafieldsSetInput!) {
-              metafieldsSet(metafields: [$input]) {
-                metafields { id }
-                userErrors { field message }
-              }
-            }
-          `,
-          variables: {
-            input: {
-              namespace: "custom_price_app",
-              key: "starter_variant_id",
-              value: starterVariantId.toString(),
-              type: "single_line_text_field",
-              ownerId: variantGid
-            }
-          }
-        })
+        return res.status(200).json({
+          ...variantResponse(toNumericId(pooled.id)),
+          isPooled: true
+        });
       }
-    );
 
-    const metafieldJson = await metafieldResp.json();
-    if (
-      metafieldJson.errors ||
-      metafieldJson.data?.metafieldsSet?.userErrors?.length > 0
-    ) {
-      console.error("Failed to set starter variant metafield:", metafieldJson.errors || metafieldJson.data.metafieldsSet.userErrors);
-      // Do not fail request
+      console.warn("⚠ No reusable variant in pool, creating a new one");
     }
 
     /* --------------------------------
-       4. Set inventory = 0
+       3. Create variant with metafield + inventory = 0
+          wherever the starter variant is stocked
     -------------------------------- */
-    const locationsResp = await fetch(
-      `https://${SHOP}/admin/api/${API_VERSION}/locations.json`,
-      {
-        headers: { "X-Shopify-Access-Token": TOKEN }
-      }
-    );
+    const locationIds = await getStockingLocationIds(starterVariantId);
 
-    const locationsJson = await locationsResp.json();
-    const locations = locationsJson.locations || [];
-
-    if (locations.length > 0) {
-      const locationId = locations[0].id;
-
-      await fetch(
-        `https://${SHOP}/admin/api/${API_VERSION}/inventory_levels/set.json`,
-        {
-          method: "POST",
-          headers: {
-            "X-Shopify-Access-Token": TOKEN,
-            "Content-Type": "application/json"
-          },
-          body: JSON.stringify({
-            location_id: locationId,
-            inventory_item_id: variant.inventory_item_id,
-            available: 0
-          })
-        }
-      );
-    } else {
+    if (locationIds.length === 0) {
       console.warn("No inventory locations found. Skipping inventory set.");
     }
 
+    let variant;
+    try {
+      variant = await createVariant(productGid, {
+        optionValues,
+        price: unitPrice,
+        inventoryPolicy: "CONTINUE",
+        inventoryItem: { tracked: true },
+        inventoryQuantities: locationIds.map(locationId => ({
+          locationId,
+          availableQuantity: 0
+        })),
+        metafields
+      });
+    } catch (err) {
+      if (!isVariantExistsError(err)) throw err;
+
+      // The search missed it: look the label up on the product itself
+      const existing = (await loadProductVariants(productGid)).find(
+        v => v.title === variantOptionValue
+      );
+      if (!existing) throw err;
+      return reuseVariant(existing);
+    }
+    await fixMarketPrice(variant.id);
+    await audit(variant.id, "created");
+
     /* --------------------------------
        5. Success
     -------------------------------- */
-    res.status(200).json({
-      success: true,
-      variantId: variant.id,
-      price: unitPrice,
-      lengthMm: lengthMm ?? null,
-      widthMm: widthMm ?? null,
-      mode
-    });
+    res.status(200).json(variantResponse(toNumericId(variant.id)));
   } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(err.status).json(validationErrorBody(err));
+    }
+    if (err instanceof PricingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (sendShopifyError(res, err)) return;
     console.error("Variant creation failed:", err);
     res.status(500).json({
       error: "Variant creation failed",
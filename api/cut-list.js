@@ -0,0 +1,53 @@
+// shopify-custom-price/api/cut-list.js
+import { isAdminRequest } from "../lib/admin-auth.js";
+import { buildCutList, cutListToCsv, cutListToHtml } from "../lib/cut-list.js";
+import { sendShopifyError } from "../lib/shopify.js";
+import { validateDateRange, ValidationError, validationErrorBody } from "../lib/validation.js";
+
+const FORMATS = ["json", "csv", "html"];
+
+/* -------------------------------------------------
+   Production cut list
+   GET ?from=&to=&format=json|csv|html
+   Paid, unfulfilled orders with custom dimensions
+   created in the date range (ISO dates, both optional),
+   grouped by starter product / material.
+   Needs ADMIN_API_SECRET (lib/admin-auth.js).
+-------------------------------------------------- */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const { format = "json" } = req.query || {};
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ error: "Invalid format", allowed: FORMATS });
+    }
+
+    const list = await buildCutList(validateDateRange(req.query));
+
+    if (format === "csv") {
+      const day = new Date().toISOString().slice(0, 10);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="cut-list-${day}.csv"`);
+      return res.status(200).send(cutListToCsv(list));
+    }
+    if (format === "html") {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      return res.status(200).send(cutListToHtml(list));
+    }
+
+    res.status(200).json(list);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(err.status).json(validationErrorBody(err));
+    }
+    if (sendShopifyError(res, err)) return;
+    console.error("✖ Cut list failed:", err);
+    res.status(500).json({ error: "Cut list failed" });
+  }
+}
@@ -0,0 +1,91 @@
+import {
+  adjustInventory,
+  hasCustomDimensions,
+  materialConsumption,
+  resolveStarterVariant
+} from "../lib/inventory.js";
+import { getLineItemLocations } from "../lib/locations.js";
+import {
+  loadProcessedLineItems,
+  restockShare,
+  withOrderLock
+} from "../lib/order-processing.js";
+import { webhookHandler } from "../lib/webhooks.js";
+
+/* -------------------------------------------------
+   Disable body parser (required for webhooks)
+-------------------------------------------------- */
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+/* -------------------------------------------------
+   Quantities already covered by refunds
+   Refund lines are restocked (or deliberately not) by
+   the refunds/create webhook, so they are left out here.
+-------------------------------------------------- */
+function refundedQuantities(order) {
+  const quantities = new Map();
+
+  for (const refund of order.refunds || []) {
+    for (const line of refund.refund_line_items || []) {
+      quantities.set(
+        line.line_item_id,
+        (quantities.get(line.line_item_id) || 0) + line.quantity
+      );
+    }
+  }
+
+  return quantities;
+}
+
+/* -------------------------------------------------
+   Webhook handler (orders/cancelled)
+   Gives custom-cut quantities back to the starter
+   variant, for every line orders/paid has deducted.
+   Each line is recorded right away, so a retry only
+   restocks the remaining lines.
+-------------------------------------------------- */
+export default webhookHandler("orders/cancelled", async order => {
+  const orderId = order.id;
+
+  await withOrderLock(orderId, async () => {
+    const processed = await loadProcessedLineItems(orderId);
+    const locationFor = await getLineItemLocations(orderId);
+    const refunded = refundedQuantities(order);
+
+    for (const item of order.line_items) {
+      if (!hasCustomDimensions(item)) continue;
+
+      // Only lines orders/paid has deducted
+      if (!processed.has(item.id)) continue;
+
+      // Idempotency (per line)
+      const key = `cancel:${item.id}`;
+      if (processed.has(key)) {
+        console.log(`✔ Line item ${item.id} already restocked, skipping`);
+        continue;
+      }
+
+      const quantity = item.quantity - (refunded.get(item.id) || 0);
+      if (quantity <= 0) continue;
+
+      const { inventoryItemId, inventoryRules } = await resolveStarterVariant(item);
+      const deduction = processed.get(item.id);
+      const share = restockShare(deduction, quantity) ?? {
+        amount: materialConsumption(item, quantity, inventoryRules),
+        deduction
+      };
+
+      if (share.amount > 0) {
+        await adjustInventory(inventoryItemId, await locationFor(item.id), share.amount, "restock");
+      }
+      await processed.add({
+        [item.id]: share.deduction,
+        [key]: { quantity, restocked: share.amount }
+      });
+    }
+  });
+});
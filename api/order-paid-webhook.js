@@ -1,10 +1,14 @@
-import crypto from "crypto";
-import fetch from "node-fetch";
-
-const SHOP = process.env.SHOPIFY_SHOP;
-const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
-const WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET;
-const API_VERSION = "2024-04";
+import {
+  adjustInventory,
+  getOrderMetafield,
+  hasCustomDimensions,
+  materialConsumption,
+  resolveStarterVariant,
+  setOrderMetafield
+} from "../lib/inventory.js";
+import { getLineItemLocations } from "../lib/locations.js";
+import { loadProcessedLineItems, withOrderLock } from "../lib/order-processing.js";
+import { webhookHandler } from "../lib/webhooks.js";
 
 /* -------------------------------------------------
    Disable body parser (required for webhooks)
@@ -15,285 +19,57 @@ export const config = {
   }
 };
 
-/* -------------------------------------------------
-   Verify Shopify webhook HMAC
--------------------------------------------------- */
-function verifyWebhook(rawBody, shopifyHmac) {
-  const digest = crypto
-    .createHmac("sha256", WEBHOOK_SECRET)
-    .update(rawBody, "utf8")
-    .digest("base64");
-
-  return digest === shopifyHmac;
-}
-
-/* -------------------------------------------------
-   Shopify GraphQL helper
--------------------------------------------------- */
-async function shopifyFetch(query, variables = {}) {
-  const res = await fetch(
-    `https://${SHOP}/admin/api/${API_VERSION}/graphql.json`,
-    {
-      method: "POST",
-      headers: {
-        "X-Shopify-Access-Token": TOKEN,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ query, variables })
-    }
-  );
-
-  const json = await res.json();
-
-  if (json.errors) {
-    console.error("✖ Shopify GraphQL errors:", json.errors);
-    throw json.errors;
-  }
-
-  return json.data;
-}
-
-/* -------------------------------------------------
-   Get primary location ID
--------------------------------------------------- */
-async function getPrimaryLocationId() {
-  const data = await shopifyFetch(`
-    query {
-      locations(first: 1) {
-        edges { node { id } }
-      }
-    }
-  `);
-
-  return data.locations.edges[0].node.id;
-}
-
 /* -------------------------------------------------
    Check if order already processed
 -------------------------------------------------- */
 async function isOrderProcessed(orderId) {
-  const data = await shopifyFetch(
-    `
-    query ($id: ID!) {
-      order(id: $id) {
-        metafield(namespace: "custom_price_app", key: "inventory_processed") {
-          value
-        }
-      }
-    }
-    `,
-    { id: `gid://shopify/Order/${orderId}` }
-  );
-
-  return data.order.metafield !== null;
+  return (await getOrderMetafield(orderId, "inventory_processed")) !== null;
 }
 
 /* -------------------------------------------------
    Mark order as processed
 -------------------------------------------------- */
 async function markOrderAsProcessed(orderId) {
-  const data = await shopifyFetch(
-    `
-    mutation ($input: MetafieldsSetInput!) {
-      metafieldsSet(metafields: [$input]) {
-        metafields { id }
-        userErrors { field message }
-      }
-    }
-    `,
-    {
-      input: {
-        namespace: "custom_price_app",
-        key: "inventory_processed",
-        value: "true",
-        type: "boolean",
-        ownerId: `gid://shopify/Order/${orderId}`
-      }
-    }
-  );
-
-  const errors = data.metafieldsSet.userErrors;
-  if (errors.length > 0) {
-    console.error("✖ Failed to mark order as processed:", errors);
-    throw new Error("Metafield write failed");
-  }
+  await setOrderMetafield(orderId, "inventory_processed", "true", "boolean");
 }
 
 /* -------------------------------------------------
-   Webhook handler
+   Webhook handler (orders/paid)
+   Deducts custom-cut quantities (pieces, or material in
+   length / area inventory mode) from the starter variant.
+   Each deducted line is recorded right away, so a retry
+   after a crash only deducts the remaining lines.
+   Concurrent deliveries get 409 and are retried later.
 -------------------------------------------------- */
-export default async function handler(req, res) {
-  let rawBody = "";
-
-  req.on("data", chunk => {
-    rawBody += chunk;
-  });
-
-  req.on("end", async () => {
-    try {
-      const shopifyHmac = req.headers["x-shopify-hmac-sha256"];
-      if (!verifyWebhook(rawBody, shopifyHmac)) {
-        console.error("✖ Webhook HMAC verification failed");
-        return res.status(401).send("Unauthorized");
-      }
-
-      const order = JSON.parse(rawBody);
-      const orderId = order.id;
-
-      // Idempotency
-      if (await isOrderProcessed(orderId)) {
-        return res.status(200).send("OK");
-      }
-
-      const locationId = await getPrimaryLocationId();
-
-      for (const item of order.line_items) {
-        const hasDimension =
-          Array.isArray(item.properties) &&
-          item.properties.some(
-            p =>
-              p.name === "_Individuelle_Breite" ||
-              p.name === "_Individuelle_Länge"
-          );
+export default webhookHandler("orders/paid", async order => {
+  const orderId = order.id;
 
-        if (!hasDimension) continue;
-
-        const quantity = item.quantity;
-
-        // --- Starter variant lookup priority: metafield → line item prop → first variant
-        let starterVariantId = null;
-
-        try {
-          const variantData = await shopifyFetch(
-            `
-            query ($id: ID!) {
-              productVariant(id: $id) {
-                metafield(namespace: "custom_price_app", key: "starter_variant_id") {
-                  value
-                }
-              }
-            }
-            `,
-            { id: `gid://shopify/ProductVariant/${item.variant_id}` }
-          );
-
-          if (variantData.productVariant?.metafield?.value) {
-            starterVariantId = variantData.productVariant.metafield.value;
-          }
-        } catch (err) {
-          console.warn("⚠ Could not fetch variant metafield:", err.message);
-        }
-
-        if (!starterVariantId && Array.isArray(item.properties)) {
-          const starterProp = item.properties.find(
-            p => p.name === "_starter_variant_id" || p.name === "starter_variant_id"
-          );
-          if (starterProp) {
-            starterVariantId = starterProp.value.replace(
-              /^gid:\/\/shopify\/ProductVariant\//,
-              ""
-            );
-          }
-        }
-
-        if (!starterVariantId) {
-          const productData = await shopifyFetch(
-            `
-            query ($id: ID!) {
-              product(id: $id) {
-                variants(first: 1) {
-                  edges { node { inventoryItem { id } } }
-                }
-              }
-            }
-            `,
-            { id: `gid://shopify/Product/${item.product_id}` }
-          );
-
-          const fallbackInventoryId =
-            productData.product.variants.edges[0].node.inventoryItem.id;
-
-          await shopifyFetch(
-            `
-            mutation ($input: InventoryAdjustQuantitiesInput!) {
-              inventoryAdjustQuantities(input: $input) {
-                userErrors { field message }
-              }
-            }
-            `,
-            {
-              input: {
-                reason: "correction",
-                name: "available",
-                changes: [
-                  {
-                    inventoryItemId: fallbackInventoryId,
-                    locationId,
-                    delta: -quantity
-                  }
-                ]
-              }
-            }
-          );
-
-          continue;
-        }
-
-        // Get inventory item of starter variant
-        const starterVariantData = await shopifyFetch(
-          `
-          query ($id: ID!) {
-            productVariant(id: $id) {
-              inventoryItem { id }
-            }
-          }
-          `,
-          { id: `gid://shopify/ProductVariant/${starterVariantId}` }
-        );
+  await withOrderLock(orderId, async () => {
+    // Idempotency (whole order)
+    if (await isOrderProcessed(orderId)) {
+      return;
+    }
 
-        const starterInventoryItemId =
-          starterVariantData.productVariant?.inventoryItem?.id;
+    const processed = await loadProcessedLineItems(orderId);
 
-        if (!starterInventoryItemId) {
-          throw new Error(`Starter variant ${starterVariantId} not found`);
-        }
+    // Deduct where each line is fulfilled from
+    const locationFor = await getLineItemLocations(orderId);
 
-        // Adjust inventory
-        const result = await shopifyFetch(
-          `
-          mutation ($input: InventoryAdjustQuantitiesInput!) {
-            inventoryAdjustQuantities(input: $input) {
-              userErrors { field message }
-            }
-          }
-          `,
-          {
-            input: {
-              reason: "correction",
-              name: "available",
-              changes: [
-                {
-                  inventoryItemId: starterInventoryItemId,
-                  locationId,
-                  delta: -quantity
-                }
-              ]
-            }
-          }
-        );
+    for (const item of order.line_items) {
+      if (!hasCustomDimensions(item)) continue;
 
-        const errors = result.inventoryAdjustQuantities.userErrors;
-        if (errors.length > 0) {
-          console.error("✖ Inventory errors:", errors);
-          throw new Error("Inventory update failed");
-        }
+      // Idempotency (per line)
+      if (processed.has(item.id)) {
+        console.log(`✔ Line item ${item.id} already deducted, skipping`);
+        continue;
       }
 
-      await markOrderAsProcessed(orderId);
-      res.status(200).send("OK");
-    } catch (err) {
-      console.error("🔥 Webhook failure:", err);
-      res.status(500).send("Internal Server Error");
+      const { inventoryItemId, inventoryRules } = await resolveStarterVariant(item);
+      const consumed = materialConsumption(item, item.quantity, inventoryRules);
+      await adjustInventory(inventoryItemId, await locationFor(item.id), -consumed);
+      await processed.add({ [item.id]: { quantity: item.quantity, consumed } });
     }
+
+    await markOrderAsProcessed(orderId);
   });
-}
+});
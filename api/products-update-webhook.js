@@ -0,0 +1,25 @@
+import { invalidateProduct } from "../lib/price-cache.js";
+import { webhookHandler } from "../lib/webhooks.js";
+
+/* -------------------------------------------------
+   Disable body parser (required for webhooks)
+-------------------------------------------------- */
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+/* -------------------------------------------------
+   Webhook handler (products/update)
+   Drops the product and its variants from the price
+   cache, so the next quote reads the new prices / rules
+-------------------------------------------------- */
+export default webhookHandler("products/update", async product => {
+  const variantGids = (product.variants || []).map(
+    v => `gid://shopify/ProductVariant/${v.id}`
+  );
+
+  await invalidateProduct(`gid://shopify/Product/${product.id}`, variantGids);
+  console.log(`✔ Price cache cleared for product ${product.id}`);
+});
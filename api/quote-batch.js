@@ -0,0 +1,204 @@
+// shopify-custom-price/api/quote-batch.js
+import { quoteAuditEntry, recordAudit } from "../lib/audit.js";
+import {
+  calculatePrice,
+  loadPricingContexts,
+  PricingError,
+  PRICING_MODES,
+  roundCents
+} from "../lib/pricing.js";
+import { nestPieces } from "../lib/nesting.js";
+import { sendShopifyError } from "../lib/shopify.js";
+import { loadTaxContext, taxBreakdown } from "../lib/tax.js";
+import {
+  validateQuoteRequest,
+  ValidationError,
+  validationErrorBody
+} from "../lib/validation.js";
+
+const MAX_ITEMS = 50;
+
+/* -------------------------------------------------
+   Batch quote
+   POST {
+     items: [
+       { productId, variantId, mode, unit, dimensions: { length, width }, quantity }
+     ],
+     country, b2b    // optional, for the tax breakdown
+   }
+   Each distinct product / variant is looked up once.
+   Invalid lines are reported per item and do not fail
+   the batch.
+-------------------------------------------------- */
+function quoteItem(getPricingContext, item, tierTotals = null, layouts = null) {
+  // Same checks and error codes as calculate-price
+  const line = item && typeof item === "object" ? item : {};
+  const { productId, selectedVariantId, mode, unit, dimensions, quantity } = validateQuoteRequest(
+    { ...line, ...line.dimensions, selectedVariantId: line.variantId },
+    PRICING_MODES,
+    { requireQuantity: true }
+  );
+
+  const context = getPricingContext(productId, selectedVariantId);
+
+  const quote = calculatePrice({
+    pricePerUnit: context.pricePerUnit,
+    mode,
+    unit,
+    dimensions,
+    quantity,
+    rules: context.rules,
+    tierTotals: tierTotals?.get(context.productId) ?? null,
+    stockLayout: (mode === "area" && layouts?.get(context.productId)) || null
+  });
+
+  return {
+    productId: context.productId,
+    baseVariantId: context.baseVariantId,
+    product: context.productTitle,
+    ...quote
+  };
+}
+
+function quoteItems(getPricingContext, items, tierTotals = null, layouts = null) {
+  return items.map((item, index) => {
+    try {
+      return {
+        index,
+        success: true,
+        ...quoteItem(getPricingContext, item, tierTotals, layouts)
+      };
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return { index, success: false, ...validationErrorBody(err) };
+      }
+      if (!(err instanceof PricingError)) throw err;
+      return { index, success: false, error: err.message };
+    }
+  });
+}
+
+// Volume tiers apply to the total pieces / measure of all lines of a product
+function sumTierTotals(results) {
+  const totals = new Map();
+
+  for (const r of results) {
+    if (!r.success) continue;
+    const total = totals.get(r.productId) ?? { quantity: 0, measure: 0 };
+    total.quantity += r.quantity;
+    total.measure += r.billableQuantity * r.quantity;
+    totals.set(r.productId, total);
+  }
+
+  return totals;
+}
+
+// Area lines of a product with a stock format are nested together
+function nestProductLines(getPricingContext, results) {
+  const pieces = new Map();
+
+  for (const r of results) {
+    if (!r.success || !r.layout) continue;
+    const list = pieces.get(r.productId) ?? [];
+    list.push({ lengthMm: r.billedLengthMm, widthMm: r.billedWidthMm, quantity: r.quantity });
+    pieces.set(r.productId, list);
+  }
+
+  const layouts = new Map();
+  for (const [productId, list] of pieces) {
+    const { stockFormat } = getPricingContext(productId).rules;
+    layouts.set(productId, nestPieces(list, stockFormat));
+  }
+  return layouts;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: "Missing items" });
+    }
+    if (items.length > MAX_ITEMS) {
+      return res.status(400).json({ error: `At most ${MAX_ITEMS} items per batch` });
+    }
+
+    /* 1. Fetch every distinct product / variant once */
+    const getPricingContext = await loadPricingContexts(
+      items
+        .filter(item => item?.productId)
+        .map(item => ({ productId: item.productId, variantId: item.variantId }))
+    );
+
+    /* 2. Quote each line, then re-price with the volume tier and the
+          combined stock layout of its product */
+    const firstPass = quoteItems(getPricingContext, items);
+    const results = quoteItems(
+      getPricingContext,
+      items,
+      sumTierTotals(firstPass),
+      nestProductLines(getPricingContext, firstPass)
+    );
+
+    /* 3. Grand total over the valid lines */
+    const totalPrice = roundCents(
+      results
+        .filter(r => r.success)
+        .reduce((sum, r) => sum + r.totalPrice, 0)
+    );
+
+    const undiscountedTotalPrice = roundCents(
+      results
+        .filter(r => r.success)
+        .reduce((sum, r) => sum + r.undiscountedTotalPrice, 0)
+    );
+
+    /* 4. Net / tax / gross per line; the batch total is their sum */
+    const taxContext = await loadTaxContext({ country: req.body.country, b2b: req.body.b2b });
+    const total = { net: 0, tax: 0, gross: 0 };
+
+    for (const r of results) {
+      if (!r.success) continue;
+      r.tax = taxBreakdown(r, taxContext);
+      for (const key of Object.keys(total)) {
+        total[key] = roundCents(total[key] + r.tax.total[key]);
+      }
+    }
+
+    await recordAudit(
+      ...results
+        .filter(r => r.success)
+        .map(r => {
+          const item = items[r.index];
+          const context = getPricingContext(item.productId, item.variantId);
+          return quoteAuditEntry("quote-batch", context, r);
+        })
+    );
+
+    res.status(200).json({
+      items: results,
+      itemCount: results.length,
+      errorCount: results.filter(r => !r.success).length,
+      undiscountedTotalPrice,
+      totalPrice,
+      tax: {
+        country: taxContext.country,
+        rate: taxContext.rate,
+        taxesIncluded: taxContext.taxesIncluded,
+        display: taxContext.display,
+        total
+      }
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(err.status).json(validationErrorBody(err));
+    }
+    if (sendShopifyError(res, err)) return;
+    console.error(err);
+    res.status(500).json({ error: "Batch calculation failed" });
+  }
+}
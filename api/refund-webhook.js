@@ -0,0 +1,81 @@
+import {
+  adjustInventory,
+  hasCustomDimensions,
+  materialConsumption,
+  resolveStarterVariant
+} from "../lib/inventory.js";
+import { getLineItemLocations } from "../lib/locations.js";
+import {
+  loadProcessedLineItems,
+  restockShare,
+  withOrderLock
+} from "../lib/order-processing.js";
+import { webhookHandler } from "../lib/webhooks.js";
+
+/* -------------------------------------------------
+   Disable body parser (required for webhooks)
+-------------------------------------------------- */
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+// Refund lines that put goods back on the shelf
+const RESTOCK_TYPES = ["return", "cancel", "legacy_restock"];
+
+/* -------------------------------------------------
+   Webhook handler (refunds/create)
+   Gives restocked custom-cut quantities back to the
+   starter variant, for lines orders/paid has deducted.
+   Each refund line is recorded right away, so a retry
+   only restocks the remaining lines.
+-------------------------------------------------- */
+export default webhookHandler("refunds/create", async refund => {
+  const orderId = refund.order_id;
+
+  const lines = (refund.refund_line_items || []).filter(
+    line =>
+      RESTOCK_TYPES.includes(line.restock_type) &&
+      line.line_item &&
+      hasCustomDimensions(line.line_item)
+  );
+  if (lines.length === 0) return;
+
+  await withOrderLock(orderId, async () => {
+    const processed = await loadProcessedLineItems(orderId);
+    const locationFor = await getLineItemLocations(orderId);
+
+    for (const line of lines) {
+      // Only lines orders/paid has deducted
+      if (!processed.has(line.line_item_id)) continue;
+
+      // Idempotency (per refund line)
+      const key = `refund:${refund.id}:${line.id}`;
+      if (processed.has(key)) {
+        console.log(`✔ Refund line ${line.id} already restocked, skipping`);
+        continue;
+      }
+
+      const { inventoryItemId, inventoryRules } = await resolveStarterVariant(line.line_item);
+      const deduction = processed.get(line.line_item_id);
+      const share = restockShare(deduction, line.quantity) ?? {
+        amount: materialConsumption(line.line_item, line.quantity, inventoryRules),
+        deduction
+      };
+
+      if (share.amount > 0) {
+        await adjustInventory(
+          inventoryItemId,
+          await locationFor(line.line_item_id),
+          share.amount,
+          "restock"
+        );
+      }
+      await processed.add({
+        [line.line_item_id]: share.deduction,
+        [key]: { quantity: line.quantity, restocked: share.amount }
+      });
+    }
+  });
+});
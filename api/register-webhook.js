@@ -1,51 +1,67 @@
-import fetch from "node-fetch";
-
-const SHOP = process.env.SHOPIFY_SHOP;
-const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
-const API_VERSION = "2024-04";
-
-async function shopifyFetch(query) {
-  const res = await fetch(
-    `https://${SHOP}/admin/api/${API_VERSION}/graphql.json`,
-    {
-      method: "POST",
-      headers: {
-        "X-Shopify-Access-Token": TOKEN,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ query })
-    }
-  );
+import { isAdminRequest } from "../lib/admin-auth.js";
+import { sendShopifyError } from "../lib/shopify.js";
+import {
+  applySubscriptionPlan,
+  declaredSubscriptions,
+  getAppBaseUrl,
+  listSubscriptions,
+  planSubscriptions
+} from "../lib/webhook-subscriptions.js";
 
-  const json = await res.json();
-  if (json.errors) throw json.errors;
-  return json.data;
-}
+/* -------------------------------------------------
+   Webhook subscription management
 
+   GET                    current subscriptions + diff (no changes)
+   POST                   reconcile with config/webhooks.js
+   POST ?dryRun=true      diff only
+
+   Returns { dryRun, baseUrl, current, created, updated,
+   deleted, unchanged }; current is the state before
+   the run. 502 if Shopify rejected a change, 401
+   without the ADMIN_API_SECRET.
+-------------------------------------------------- */
 export default async function handler(req, res) {
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const query = req.query || {};
+  const dryRun =
+    req.method !== "POST" || query.dryRun === "true" || query.dryRun === "1";
+
+  let baseUrl;
   try {
-    const data = await shopifyFetch(`
-      mutation {
-        webhookSubscriptionCreate(
-          topic: ORDERS_PAID
-          webhookSubscription: {
-            callbackUrl: "https://shopify-custom-price.vercel.app/api/order-paid-webhook"
-            format: JSON
-          }
-        ) {
-          webhookSubscription {
-            id
-            topic
-          }
-          userErrors {
-            message
-          }
-        }
-      }
-    `);
-
-    res.json(data);
+    baseUrl = getAppBaseUrl();
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  try {
+    const current = await listSubscriptions();
+    const plan = planSubscriptions(current, declaredSubscriptions(baseUrl));
+    const result = dryRun ? plan : await applySubscriptionPlan(plan);
+
+    const failed = [...result.create, ...result.update, ...result.delete].filter(
+      change => change.ok === false
+    );
+    if (failed.length > 0) {
+      console.error("✖ Webhook subscription changes failed:", failed);
+    } else if (!dryRun) {
+      console.log("✔ Webhook subscriptions reconciled");
+    }
+
+    res.status(failed.length > 0 ? 502 : 200).json({
+      dryRun,
+      baseUrl,
+      current,
+      created: result.create,
+      updated: result.update,
+      deleted: result.delete,
+      unchanged: result.unchanged
+    });
   } catch (err) {
+    if (sendShopifyError(res, err)) return;
+    console.error("🔥 Webhook registration failed:", err);
     res.status(500).json({ error: err.toString() });
   }
 }
@@ -1,39 +1,23 @@
-import fetch from "node-fetch";
-
-const SHOP = process.env.SHOPIFY_SHOP;
-const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
-const API_VERSION = "2024-04";
+import { API_VERSION, sendShopifyError, shopifyFetch } from "../lib/shopify.js";
 
 export default async function handler(req, res) {
   try {
-    const response = await fetch(
-      `https://${SHOP}/admin/api/${API_VERSION}/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "X-Shopify-Access-Token": TOKEN,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-          query: `
-            query {
-              shop {
-                name
-              }
-            }
-          `
-        })
+    const data = await shopifyFetch(`
+      query {
+        shop {
+          name
+        }
       }
-    );
-
-    const data = await response.json();
+    `);
 
     res.status(200).json({
       success: true,
-      shop: data.data.shop.name
+      shop: data.shop.name,
+      apiVersion: API_VERSION
     });
 
   } catch (err) {
+    if (sendShopifyError(res, err)) return;
     res.status(500).json({ error: err.message });
   }
 }
@@ -0,0 +1,15 @@
+// shopify-custom-price/config/currencies.js
+
+/* -------------------------------------------------
+   Currency rounding overrides (ISO 4217 code)
+
+   decimals   minor units (default from lib/currency.js,
+              e.g. 2 for EUR, 0 for JPY)
+   roundTo    round to this increment instead, e.g.
+              0.05 for Swiss francs (Rappen)
+
+   "CHF": { roundTo: 0.05 }
+-------------------------------------------------- */
+export default {
+  CHF: { roundTo: 0.05 }
+};
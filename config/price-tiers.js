@@ -0,0 +1,18 @@
+// shopify-custom-price/config/price-tiers.js
+
+/* -------------------------------------------------
+   Volume discount tiers per product (numeric product ID)
+
+   Used when a product has no `custom_price_app.price_tiers`
+   metafield. Same format as the metafield, e.g.
+
+   "1234567890": {
+     basis: "measure",          // "quantity" (pieces) or "measure"
+                                // (total m / m² / m³ in the price unit)
+     tiers: [
+       { min: 10, discountPercent: 5 },
+       { min: 25, pricePerUnit: 15.5 }
+     ]
+   }
+-------------------------------------------------- */
+export default {};
@@ -0,0 +1,43 @@
+// shopify-custom-price/config/tax-rates.js
+
+/* -------------------------------------------------
+   Standard VAT rates per destination country (ISO code)
+
+   Quotes use the rate of the request's `country`, or of
+   DEFAULT_TAX_COUNTRY. Countries not listed are quoted
+   without tax (exports). Reduced rates are not supported.
+
+   EU, Swiss and UK rates as of 2026 – keep in line with
+   the tax settings in the Shopify admin.
+-------------------------------------------------- */
+export default {
+  AT: 0.2,
+  BE: 0.21,
+  BG: 0.2,
+  CH: 0.081,
+  CY: 0.19,
+  CZ: 0.21,
+  DE: 0.19,
+  DK: 0.25,
+  EE: 0.24,
+  ES: 0.21,
+  FI: 0.255,
+  FR: 0.2,
+  GB: 0.2,
+  GR: 0.24,
+  HR: 0.25,
+  HU: 0.27,
+  IE: 0.23,
+  IT: 0.22,
+  LT: 0.21,
+  LU: 0.17,
+  LV: 0.21,
+  MT: 0.18,
+  NL: 0.21,
+  PL: 0.23,
+  PT: 0.23,
+  RO: 0.21,
+  SE: 0.25,
+  SI: 0.22,
+  SK: 0.23
+};
@@ -0,0 +1,19 @@
+// shopify-custom-price/config/webhooks.js
+
+/* -------------------------------------------------
+   Webhook subscriptions the app needs
+
+   topic   Shopify WebhookSubscriptionTopic
+   path    endpoint path, appended to the app base URL
+           (APP_BASE_URL; VERCEL_URL only with
+           WEBHOOKS_USE_VERCEL_URL=true)
+
+   api/register-webhook reconciles the store's
+   subscriptions against this list.
+-------------------------------------------------- */
+export default [
+  { topic: "ORDERS_PAID", path: "/api/order-paid-webhook" },
+  { topic: "ORDERS_CANCELLED", path: "/api/order-cancelled-webhook" },
+  { topic: "REFUNDS_CREATE", path: "/api/refund-webhook" },
+  { topic: "PRODUCTS_UPDATE", path: "/api/products-update-webhook" }
+];
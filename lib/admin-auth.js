@@ -0,0 +1,24 @@
+// shopify-custom-price/lib/admin-auth.js
+import crypto from "crypto";
+
+const ADMIN_SECRET = process.env.ADMIN_API_SECRET;
+
+/* -------------------------------------------------
+   Internal endpoints (audit log, cut list)
+
+   Require ADMIN_API_SECRET, sent as
+   `Authorization: Bearer <secret>` or as `?token=<secret>`
+   (links opened in a browser). Without ADMIN_API_SECRET
+   they refuse every request.
+-------------------------------------------------- */
+export function isAdminRequest(req) {
+  if (!ADMIN_SECRET) return false;
+
+  const header = req.headers?.authorization ?? "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : req.query?.token;
+  if (!token) return false;
+
+  const expected = Buffer.from(ADMIN_SECRET, "utf8");
+  const received = Buffer.from(token.toString(), "utf8");
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
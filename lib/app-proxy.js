@@ -0,0 +1,51 @@
+// shopify-custom-price/lib/app-proxy.js
+import crypto from "crypto";
+
+const API_SECRET = process.env.SHOPIFY_API_SECRET;
+const APP_PROXY_REQUIRED = process.env.APP_PROXY_REQUIRED === "true";
+const MAX_AGE_SECONDS = 300;
+
+/* -------------------------------------------------
+   Verify Shopify App Proxy signature
+
+   Shopify signs proxied storefront requests: all query
+   parameters except `signature`, sorted, written as
+   key=value (array values joined with ","), concatenated
+   without separator, HMAC-SHA256 hex with the app secret.
+-------------------------------------------------- */
+export function verifyAppProxySignature(query, secret = API_SECRET) {
+  const { signature, ...params } = query || {};
+  if (!signature || !secret) return false;
+
+  const message = Object.keys(params)
+    .sort()
+    .map(key => {
+      const value = params[key];
+      return `${key}=${Array.isArray(value) ? value.join(",") : value}`;
+    })
+    .join("");
+
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(message, "utf8")
+    .digest("hex");
+
+  const expected = Buffer.from(digest, "utf8");
+  const received = Buffer.from(signature.toString(), "utf8");
+  if (expected.length !== received.length) return false;
+  if (!crypto.timingSafeEqual(expected, received)) return false;
+
+  const timestamp = Number(params.timestamp);
+  return (
+    Number.isFinite(timestamp) &&
+    Math.abs(Date.now() / 1000 - timestamp) <= MAX_AGE_SECONDS
+  );
+}
+
+/* -------------------------------------------------
+   Only enforced when APP_PROXY_REQUIRED=true
+-------------------------------------------------- */
+export function isStorefrontRequest(req) {
+  if (!APP_PROXY_REQUIRED) return true;
+  return verifyAppProxySignature(req.query);
+}
@@ -0,0 +1,178 @@
+// shopify-custom-price/lib/audit.js
+import crypto from "crypto";
+import { appendFile, readFile } from "fs/promises";
+import { DEFAULT_RULES } from "./pricing.js";
+
+/* -------------------------------------------------
+   Audit log of quotes and variants
+
+   Every quote and every created / reused variant is
+   recorded with its inputs, base variant, base price,
+   pricing rules and result, so a disputed price can be
+   traced back.
+
+   Log interface:
+   append(entries)
+   search({ variantId, productId, from, to, limit }) → newest first
+
+   AUDIT_LOG        file (default) | memory | off
+   AUDIT_LOG_FILE   JSON lines file (default /tmp/custom-price-audit.jsonl)
+
+   /tmp only lives as long as the serverless instance;
+   use setAuditLog() with a durable backend in production.
+-------------------------------------------------- */
+const AUDIT_LOG = process.env.AUDIT_LOG || "file";
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || "/tmp/custom-price-audit.jsonl";
+
+const numericId = id => (id === undefined || id === null ? null : String(id).split("/").pop());
+
+function matches(entry, { variantId, productId, from, to }) {
+  if (variantId) {
+    const id = numericId(variantId);
+    if (entry.variantId !== id && entry.baseVariantId !== id) return false;
+  }
+  if (productId && entry.productId !== numericId(productId)) return false;
+
+  const at = new Date(entry.at);
+  if (from && at < from) return false;
+  if (to && at > to) return false;
+  return true;
+}
+
+function searchEntries(entries, filter = {}) {
+  return entries
+    .filter(entry => matches(entry, filter))
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, filter.limit ?? 100);
+}
+
+export class MemoryAuditLog {
+  constructor() {
+    this.entries = [];
+  }
+
+  async append(entries) {
+    this.entries.push(...entries);
+  }
+
+  async search(filter) {
+    return searchEntries(this.entries, filter);
+  }
+}
+
+/* -------------------------------------------------
+   JSON lines file
+-------------------------------------------------- */
+export class FileAuditLog {
+  constructor(path = AUDIT_LOG_FILE) {
+    this.path = path;
+  }
+
+  async append(entries) {
+    await appendFile(this.path, entries.map(entry => `${JSON.stringify(entry)}\n`).join(""));
+  }
+
+  async search(filter) {
+    let text;
+    try {
+      text = await readFile(this.path, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+
+    const entries = [];
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        console.warn("⚠ Skipping unreadable audit log line");
+      }
+    }
+    return searchEntries(entries, filter);
+  }
+}
+
+/* -------------------------------------------------
+   Shared log instance
+-------------------------------------------------- */
+let auditLog;
+
+export function getAuditLog() {
+  if (auditLog === undefined) {
+    if (AUDIT_LOG === "off") auditLog = null;
+    else if (AUDIT_LOG === "memory") auditLog = new MemoryAuditLog();
+    else auditLog = new FileAuditLog();
+  }
+  return auditLog;
+}
+
+// Replace the log (e.g. a database backend, or a MemoryAuditLog in tests)
+export function setAuditLog(customLog) {
+  auditLog = customLog;
+}
+
+/* -------------------------------------------------
+   Record entries
+   Adds id + timestamp. A failing log never fails the
+   request; the error is only logged.
+-------------------------------------------------- */
+export async function recordAudit(...entries) {
+  const log = getAuditLog();
+  if (!log || entries.length === 0) return;
+
+  const at = new Date().toISOString();
+  try {
+    await log.append(entries.map(entry => ({ id: crypto.randomUUID(), at, ...entry })));
+  } catch (err) {
+    console.error("✖ Audit log write failed:", err.message);
+  }
+}
+
+// Rules that differ from the defaults
+function customRules(rules) {
+  return Object.fromEntries(
+    Object.entries(rules).filter(
+      ([key, value]) => JSON.stringify(value) !== JSON.stringify(DEFAULT_RULES[key])
+    )
+  );
+}
+
+/* -------------------------------------------------
+   Audit entry of a quote
+   source: endpoint; extra: e.g. { variantId, action }
+-------------------------------------------------- */
+export function quoteAuditEntry(source, context, quote, extra = {}) {
+  return {
+    event: extra.variantId ? "variant" : "quote",
+    source,
+    productId: numericId(context.productId),
+    baseVariantId: numericId(context.baseVariantId),
+    ...extra,
+    variantId: numericId(extra.variantId),
+    basePrice: context.pricePerUnit,
+    priceUnit: quote.priceUnit,
+    input: {
+      mode: quote.mode,
+      unit: quote.unit,
+      dimensions: quote.dimensions,
+      quantity: quote.quantity
+    },
+    rules: customRules(context.rules),
+    appliedRules: quote.appliedRules,
+    result: {
+      billedLengthMm: quote.billedLengthMm,
+      billedWidthMm: quote.billedWidthMm,
+      billedDiameterMm: quote.billedDiameterMm,
+      billedThicknessMm: quote.billedThicknessMm,
+      billableQuantity: quote.billableQuantity,
+      tier: quote.tier,
+      materialFactor: quote.layout?.materialFactor ?? null,
+      undiscountedUnitPrice: quote.undiscountedUnitPrice,
+      unitPrice: quote.unitPrice,
+      totalPrice: quote.totalPrice,
+      ...(quote.presentment && { presentment: quote.presentment })
+    }
+  };
+}
@@ -0,0 +1,69 @@
+// shopify-custom-price/lib/currency.js
+import currencyOverrides from "../config/currencies.js";
+
+/* -------------------------------------------------
+   Minor units per currency (ISO 4217)
+   Everything not listed has 2 decimals.
+-------------------------------------------------- */
+const CURRENCY_DECIMALS = {
+  BIF: 0,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  ISK: 0,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  PYG: 0,
+  RWF: 0,
+  UGX: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3
+};
+
+const minorUnits = currencyCode =>
+  currencyOverrides[currencyCode]?.decimals ?? CURRENCY_DECIMALS[currencyCode] ?? 2;
+
+/* -------------------------------------------------
+   Rounding rule for a currency
+   Returns the increment amounts are rounded to
+   (0.01 for EUR, 1 for JPY, 0.05 for CHF by config)
+-------------------------------------------------- */
+export function roundingIncrement(currencyCode) {
+  return currencyOverrides[currencyCode]?.roundTo ?? 10 ** -minorUnits(currencyCode);
+}
+
+function roundToIncrement(amount, increment) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(increment)));
+  const rounded = Math.round((amount + Number.EPSILON) / increment) * increment;
+
+  // Strip float noise (0.05 * 3 = 0.15000000000000002)
+  return Number(rounded.toFixed(decimals));
+}
+
+// Prices: the currency's rounding rule (cash rounding included)
+export function roundMoney(amount, currencyCode) {
+  return roundToIncrement(amount, roundingIncrement(currencyCode));
+}
+
+// Computed amounts such as tax: the currency's minor unit, without
+// cash rounding (CHF 2.59, not 2.60)
+export function roundMinorUnit(amount, currencyCode) {
+  return roundToIncrement(amount, 10 ** -minorUnits(currencyCode));
+}
+
+// Decimal string for Admin API MoneyInput ("12.35", "1235", "1.235")
+export function formatMoney(amount, currencyCode) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(roundingIncrement(currencyCode))));
+  return roundMoney(amount, currencyCode).toFixed(decimals);
+}
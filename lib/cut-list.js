@@ -0,0 +1,379 @@
+// shopify-custom-price/lib/cut-list.js
+import { dimensionsFromProperties, hasCustomDimensions } from "./inventory.js";
+import { METAFIELD_NAMESPACE } from "./pricing.js";
+import { loadRemainingEdges, shopifyFetch } from "./shopify.js";
+
+/* -------------------------------------------------
+   Production cut list
+
+   Custom-dimension line items of paid, not yet
+   fulfilled orders, grouped by starter variant
+   (the material the pieces are cut from).
+
+   CUT_LIST_MAX_ORDERS caps the orders read per list
+   (default 1000); a longer list is marked truncated.
+-------------------------------------------------- */
+const MAX_ORDERS = Number(process.env.CUT_LIST_MAX_ORDERS || 1000);
+
+// 10 orders × 15 line items stays below Shopify's 1000-point query cost limit
+const ORDERS_PAGE = 10;
+const LINE_ITEMS_PAGE = 15;
+
+const DIMENSIONS = ["length", "width", "diameter", "thickness"];
+
+const round3 = value => Math.round(value * 1000) / 1000;
+
+// { lengthMm, widthMm, diameterMm, thicknessMm }, null where not cut
+const dimensionColumns = dimensionsMm =>
+  Object.fromEntries(DIMENSIONS.map(name => [`${name}Mm`, dimensionsMm[name] ?? null]));
+
+export function cutListSearch({ from, to }) {
+  const terms = [
+    "status:open",
+    "financial_status:paid",
+    "(fulfillment_status:unfulfilled OR fulfillment_status:partial)"
+  ];
+  if (from) terms.push(`created_at:>='${from.toISOString()}'`);
+  if (to) terms.push(`created_at:<='${to.toISOString()}'`);
+  return terms.join(" AND ");
+}
+
+const LINE_ITEM_FIELDS = `
+  id
+  title
+  variantTitle
+  unfulfilledQuantity
+  customAttributes { key value }
+  product { id title }
+  variant {
+    id
+    metafield(namespace: "${METAFIELD_NAMESPACE}", key: "starter_variant_id") { value }
+  }
+`;
+
+/* -------------------------------------------------
+   Cuts from the matching orders
+   Returns { cuts, truncated }; each cut is one line
+   item with its unfulfilled quantity and dimensions
+   in mm.
+-------------------------------------------------- */
+async function loadCuts(search) {
+  const cuts = [];
+  let orderCount = 0;
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage && orderCount < MAX_ORDERS) {
+    const data = await shopifyFetch(
+      `
+      query ($cursor: String, $search: String) {
+        orders(first: ${ORDERS_PAGE}, after: $cursor, query: $search, sortKey: CREATED_AT) {
+          edges {
+            node {
+              id
+              name
+              createdAt
+              lineItems(first: ${LINE_ITEMS_PAGE}) {
+                edges { node { ${LINE_ITEM_FIELDS} } cursor }
+                pageInfo { hasNextPage }
+              }
+            }
+            cursor
+          }
+          pageInfo { hasNextPage }
+        }
+      }
+      `,
+      { cursor, search }
+    );
+
+    for (const { node: order } of data.orders.edges) {
+      if (orderCount++ >= MAX_ORDERS) break;
+
+      const lineItems = await loadRemainingEdges(
+        order.id,
+        "Order",
+        "lineItems",
+        LINE_ITEM_FIELDS,
+        order.lineItems
+      );
+
+      for (const { node: item } of lineItems) {
+        const properties = item.customAttributes.map(a => ({ name: a.key, value: a.value }));
+        if (item.unfulfilledQuantity <= 0 || !hasCustomDimensions({ properties })) continue;
+
+        cuts.push({
+          orderId: order.id,
+          orderName: order.name,
+          createdAt: order.createdAt,
+          lineItemId: item.id,
+          title: item.variantTitle ? `${item.title} – ${item.variantTitle}` : item.title,
+          product: item.product,
+          starterVariantId: starterVariantId(item, properties),
+          quantity: item.unfulfilledQuantity,
+          dimensionsMm: dimensionsFromProperties(properties)
+        });
+      }
+    }
+
+    hasNextPage = data.orders.pageInfo.hasNextPage;
+    cursor = data.orders.edges.at(-1)?.cursor || null;
+  }
+
+  return { cuts, truncated: hasNextPage || orderCount > MAX_ORDERS };
+}
+
+// Starter variant GID: variant metafield → line item property → null
+function starterVariantId(item, properties) {
+  const fromProperty = properties.find(
+    p => p.name === "_starter_variant_id" || p.name === "starter_variant_id"
+  )?.value;
+  const id = item.variant?.metafield?.value ?? fromProperty;
+  return id ? `gid://shopify/ProductVariant/${String(id).split("/").pop()}` : null;
+}
+
+async function loadStarterVariants(ids) {
+  if (ids.length === 0) return new Map();
+
+  const data = await shopifyFetch(
+    `
+    query ($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant { id title product { id title } }
+      }
+    }
+    `,
+    { ids }
+  );
+  return new Map(data.nodes.filter(Boolean).map(node => [node.id, node]));
+}
+
+/* -------------------------------------------------
+   Material used by a cut (quantity included)
+   lengthM:  cut length (or width / diameter) in m
+   areaSqm:  length × width, or the circle area, in m²
+-------------------------------------------------- */
+function cutMaterial({ dimensionsMm: d, quantity }) {
+  const linearMm = d.length ?? d.width ?? d.diameter ?? 0;
+
+  let areaMm2 = 0;
+  if (d.length && d.width) areaMm2 = d.length * d.width;
+  else if (d.diameter) areaMm2 = (Math.PI * d.diameter ** 2) / 4;
+
+  return {
+    lengthM: round3((linearMm * quantity) / 1000),
+    areaSqm: round3((areaMm2 * quantity) / 1e6)
+  };
+}
+
+/* -------------------------------------------------
+   Cut list for a date range
+   Returns { from, to, truncated, groups: [{ key,
+   product, material, cuts, totals }] } with groups
+   sorted by product and material.
+-------------------------------------------------- */
+export async function buildCutList({ from = null, to = null } = {}) {
+  const { cuts, truncated } = await loadCuts(cutListSearch({ from, to }));
+  const starters = await loadStarterVariants([
+    ...new Set(cuts.map(cut => cut.starterVariantId).filter(Boolean))
+  ]);
+
+  const groups = new Map();
+
+  for (const cut of cuts) {
+    const starter = starters.get(cut.starterVariantId);
+    const key = starter?.id ?? cut.product?.id ?? "unknown";
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        product: starter?.product.title ?? cut.product?.title ?? "Unknown product",
+        material: starter && starter.title !== "Default Title" ? starter.title : null,
+        cuts: [],
+        totals: { pieces: 0, lengthM: 0, areaSqm: 0 }
+      });
+    }
+
+    const group = groups.get(key);
+    const material = cutMaterial(cut);
+
+    group.cuts.push({
+      orderName: cut.orderName,
+      orderId: cut.orderId,
+      createdAt: cut.createdAt,
+      lineItemId: cut.lineItemId,
+      title: cut.title,
+      ...dimensionColumns(cut.dimensionsMm),
+      quantity: cut.quantity,
+      ...material
+    });
+
+    group.totals.pieces += cut.quantity;
+    group.totals.lengthM = round3(group.totals.lengthM + material.lengthM);
+    group.totals.areaSqm = round3(group.totals.areaSqm + material.areaSqm);
+  }
+
+  return {
+    from: from?.toISOString() ?? null,
+    to: to?.toISOString() ?? null,
+    truncated,
+    groups: [...groups.values()].sort(
+      (a, b) =>
+        a.product.localeCompare(b.product) || (a.material ?? "").localeCompare(b.material ?? "")
+    )
+  };
+}
+
+/* -------------------------------------------------
+   CSV (one row per cut, a total row per group)
+   UTF-8 with BOM so spreadsheet apps keep umlauts
+-------------------------------------------------- */
+const CSV_COLUMNS = [
+  "product",
+  "material",
+  "order",
+  "date",
+  "item",
+  "length_mm",
+  "width_mm",
+  "diameter_mm",
+  "thickness_mm",
+  "quantity",
+  "total_length_m",
+  "total_area_sqm"
+];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function cutListToCsv(list) {
+  const rows = [CSV_COLUMNS];
+
+  for (const group of list.groups) {
+    for (const cut of group.cuts) {
+      rows.push([
+        group.product,
+        group.material,
+        cut.orderName,
+        cut.createdAt.slice(0, 10),
+        cut.title,
+        cut.lengthMm,
+        cut.widthMm,
+        cut.diameterMm,
+        cut.thicknessMm,
+        cut.quantity,
+        cut.lengthM,
+        cut.areaSqm
+      ]);
+    }
+    rows.push([
+      group.product,
+      group.material,
+      "Total",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      group.totals.pieces,
+      group.totals.lengthM,
+      group.totals.areaSqm
+    ]);
+  }
+
+  return `\uFEFF${rows.map(row => row.map(csvValue).join(",")).join("\r\n")}\r\n`;
+}
+
+/* -------------------------------------------------
+   Printable HTML (one table per product / material)
+-------------------------------------------------- */
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+const escapeHtml = value => String(value ?? "").replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+const mm = value => (value === null ? "" : `${value} mm`);
+
+const htmlRow = (cells, tag = "td") =>
+  `<tr>${cells.map(cell => `<${tag}>${escapeHtml(cell)}</${tag}>`).join("")}</tr>`;
+
+const HTML_HEADER = [
+  "Order",
+  "Date",
+  "Item",
+  "Length",
+  "Width",
+  "Diameter",
+  "Thickness",
+  "Qty",
+  "m",
+  "m²"
+];
+
+function groupToHtml(group) {
+  const title = group.material ? `${group.product} – ${group.material}` : group.product;
+
+  const rows = group.cuts.map(cut =>
+    htmlRow([
+      cut.orderName,
+      cut.createdAt.slice(0, 10),
+      cut.title,
+      mm(cut.lengthMm),
+      mm(cut.widthMm),
+      mm(cut.diameterMm),
+      mm(cut.thicknessMm),
+      cut.quantity,
+      cut.lengthM,
+      cut.areaSqm
+    ])
+  );
+  const { pieces, lengthM, areaSqm } = group.totals;
+  const total = htmlRow(["Total", "", "", "", "", "", "", pieces, lengthM, areaSqm], "th");
+
+  return `
+  <section>
+    <h2>${escapeHtml(title)}</h2>
+    <table>
+      <thead>${htmlRow(HTML_HEADER, "th")}</thead>
+      <tbody>
+        ${rows.join("\n        ")}
+      </tbody>
+      <tfoot>${total}</tfoot>
+    </table>
+  </section>`;
+}
+
+export function cutListToHtml(list) {
+  const range = [list.from, list.to].filter(Boolean).map(date => date.slice(0, 10)).join(" – ");
+  const heading = escapeHtml(range ? `Cut list ${range}` : "Cut list");
+
+  const notes = [];
+  if (list.truncated) {
+    notes.push("<p><strong>Truncated: narrow the date range to see every order.</strong></p>");
+  }
+  if (list.groups.length === 0) notes.push("<p>No open cuts.</p>");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${heading}</title>
+  <style>
+    body { font-family: sans-serif; font-size: 12px; margin: 24px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 24px; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    td:nth-child(n+4), tfoot th:nth-child(n+4) { text-align: right; }
+    section { page-break-inside: avoid; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${heading}</h1>
+  ${notes.join("\n  ")}${list.groups.map(groupToHtml).join("")}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,273 @@
+// shopify-custom-price/lib/inventory.js
+import { assertNoUserErrors, shopifyFetch, ShopifyNotFoundError } from "./shopify.js";
+import { METAFIELD_NAMESPACE } from "./pricing.js";
+import { convertMeasure, isLengthUnit, toMillimetres } from "./units.js";
+import { dimensionForProperty, isDimensionProperty } from "./vocabulary.js";
+
+/* -------------------------------------------------
+   Line items with custom dimensions
+   (webhook payload shape: properties [{ name, value }])
+-------------------------------------------------- */
+export function hasCustomDimensions(item) {
+  return (
+    Array.isArray(item.properties) &&
+    item.properties.some(p => isDimensionProperty(p.name))
+  );
+}
+
+/* -------------------------------------------------
+   Starter variant for a line item
+   Lookup priority: metafield → line item prop → first variant
+   Returns { inventoryItemId, inventoryRules }
+-------------------------------------------------- */
+const STARTER_FIELDS = `
+  inventoryItem { id }
+  product {
+    metafields(namespace: "${METAFIELD_NAMESPACE}", first: 50) {
+      edges { node { key value } }
+    }
+  }
+`;
+
+function toStarterVariant(variant) {
+  return {
+    inventoryItemId: variant.inventoryItem.id,
+    inventoryRules: parseInventoryRules(
+      variant.product.metafields.edges.map(e => e.node)
+    )
+  };
+}
+
+export async function resolveStarterVariant(item) {
+  let starterVariantId = null;
+
+  try {
+    const variantData = await shopifyFetch(
+      `
+      query ($id: ID!) {
+        productVariant(id: $id) {
+          metafield(namespace: "${METAFIELD_NAMESPACE}", key: "starter_variant_id") {
+            value
+          }
+        }
+      }
+      `,
+      { id: `gid://shopify/ProductVariant/${item.variant_id}` }
+    );
+
+    if (variantData.productVariant?.metafield?.value) {
+      starterVariantId = variantData.productVariant.metafield.value;
+    }
+  } catch (err) {
+    console.warn("⚠ Could not fetch variant metafield:", err.message);
+  }
+
+  if (!starterVariantId && Array.isArray(item.properties)) {
+    const starterProp = item.properties.find(
+      p => p.name === "_starter_variant_id" || p.name === "starter_variant_id"
+    );
+    if (starterProp) {
+      starterVariantId = starterProp.value.replace(
+        /^gid:\/\/shopify\/ProductVariant\//,
+        ""
+      );
+    }
+  }
+
+  if (!starterVariantId) {
+    const productData = await shopifyFetch(
+      `
+      query ($id: ID!) {
+        product(id: $id) {
+          variants(first: 1) {
+            edges { node { ${STARTER_FIELDS} } }
+          }
+        }
+      }
+      `,
+      { id: `gid://shopify/Product/${item.product_id}` }
+    );
+
+    const firstVariant = productData.product?.variants.edges[0]?.node;
+    if (!firstVariant) {
+      throw new ShopifyNotFoundError(`Product ${item.product_id} not found`);
+    }
+    return toStarterVariant(firstVariant);
+  }
+
+  // Get inventory item of starter variant
+  const starterVariantData = await shopifyFetch(
+    `
+    query ($id: ID!) {
+      productVariant(id: $id) { ${STARTER_FIELDS} }
+    }
+    `,
+    { id: `gid://shopify/ProductVariant/${starterVariantId}` }
+  );
+
+  if (!starterVariantData.productVariant?.inventoryItem?.id) {
+    throw new ShopifyNotFoundError(`Starter variant ${starterVariantId} not found`);
+  }
+
+  return toStarterVariant(starterVariantData.productVariant);
+}
+
+/* -------------------------------------------------
+   Inventory mode (starter product metafields)
+
+   inventory_mode   pieces (default) | length | area
+   inventory_unit   mm | cm (default) | m — stock is counted
+                    in unit (length) or unit² (area); each line
+                    is rounded up to a whole unit, so m only
+                    suits long cuts
+   waste_factor     extra material per cut, e.g. 0.05 = 5 %
+-------------------------------------------------- */
+const INVENTORY_MODES = { pieces: 0, length: 1, area: 2 };
+const INVENTORY_UNITS = ["mm", "cm", "m"];
+
+export function parseInventoryRules(metafields = []) {
+  const rules = { mode: "pieces", unit: "cm", wasteFactor: 0 };
+
+  for (const { key, value } of metafields) {
+    if (key === "inventory_mode" && Object.hasOwn(INVENTORY_MODES, value)) {
+      rules.mode = value;
+    } else if (key === "inventory_unit" && INVENTORY_UNITS.includes(value)) {
+      rules.unit = value;
+    } else if (key === "waste_factor") {
+      const num = Number(value);
+      if (Number.isFinite(num) && num >= 0) {
+        rules.wasteFactor = num;
+      } else {
+        console.warn(`⚠ Ignoring invalid inventory rule ${key}=${value}`);
+      }
+    }
+  }
+
+  return rules;
+}
+
+/* -------------------------------------------------
+   Dimensions from line item properties (in mm)
+   "1200", "1200 mm", "120 cm", "47.5 in"
+-------------------------------------------------- */
+export function dimensionsFromProperties(properties = []) {
+  const dimensions = {};
+
+  for (const { name, value } of properties) {
+    const dimension = dimensionForProperty(name);
+    if (!dimension) continue;
+
+    const match = /^\s*(\d+(?:[.,]\d+)?)\s*([a-z]*)\s*$/i.exec(String(value));
+    if (!match) continue;
+
+    const unit = match[2].toLowerCase() || "mm";
+    if (!isLengthUnit(unit)) continue;
+
+    dimensions[dimension] = toMillimetres(Number(match[1].replace(",", ".")), unit);
+  }
+
+  return dimensions;
+}
+
+/* -------------------------------------------------
+   Stock consumed by a line item
+   pieces: quantity
+   length: cut length × quantity (+ waste)
+   area:   cut area × quantity (+ waste)
+   Rounded up to whole inventory units.
+-------------------------------------------------- */
+export function materialConsumption(item, quantity, rules) {
+  const power = INVENTORY_MODES[rules.mode];
+  if (!power) return quantity;
+
+  const d = dimensionsFromProperties(item.properties);
+
+  let measureMm;
+  if (power === 1) {
+    measureMm = d.length ?? d.width ?? d.diameter;
+  } else if (d.length && d.width) {
+    measureMm = d.length * d.width;
+  } else if (d.diameter) {
+    measureMm = (Math.PI * d.diameter ** 2) / 4;
+  }
+
+  if (!measureMm) {
+    console.warn(`⚠ No dimensions on line item ${item.id}, counting pieces`);
+    return quantity;
+  }
+
+  const consumed =
+    convertMeasure(measureMm, rules.unit, power) * quantity * (1 + rules.wasteFactor);
+
+  // Strip float noise before rounding up (0.1 * 3 = 0.30000000000000004)
+  return Math.ceil(Math.round(consumed * 1e6) / 1e6);
+}
+
+/* -------------------------------------------------
+   Adjust available inventory
+   reason: "correction" (orders) | "restock" (cancellations, refunds)
+-------------------------------------------------- */
+export async function adjustInventory(inventoryItemId, locationId, delta, reason = "correction") {
+  const result = await shopifyFetch(
+    `
+    mutation ($input: InventoryAdjustQuantitiesInput!) {
+      inventoryAdjustQuantities(input: $input) {
+        userErrors { field message }
+      }
+    }
+    `,
+    {
+      input: {
+        reason,
+        name: "available",
+        changes: [{ inventoryItemId, locationId, delta }]
+      }
+    }
+  );
+
+  assertNoUserErrors(result.inventoryAdjustQuantities, "Inventory update");
+}
+
+/* -------------------------------------------------
+   Order metafields (idempotency markers)
+-------------------------------------------------- */
+export async function getOrderMetafield(orderId, key) {
+  const data = await shopifyFetch(
+    `
+    query ($id: ID!) {
+      order(id: $id) {
+        metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${key}") {
+          value
+        }
+      }
+    }
+    `,
+    { id: `gid://shopify/Order/${orderId}` }
+  );
+
+  return data.order?.metafield?.value ?? null;
+}
+
+export async function setOrderMetafield(orderId, key, value, type) {
+  const data = await shopifyFetch(
+    `
+    mutation ($input: MetafieldsSetInput!) {
+      metafieldsSet(metafields: [$input]) {
+        metafields { id }
+        userErrors { field message }
+      }
+    }
+    `,
+    {
+      input: {
+        namespace: METAFIELD_NAMESPACE,
+        key,
+        value,
+        type,
+        ownerId: `gid://shopify/Order/${orderId}`
+      }
+    }
+  );
+
+  assertNoUserErrors(data.metafieldsSet, `Order metafield ${key} write`);
+}
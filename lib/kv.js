@@ -0,0 +1,155 @@
+// shopify-custom-price/lib/kv.js
+import fetch from "node-fetch";
+
+const KV_URL = process.env.KV_REST_API_URL;
+const KV_TOKEN = process.env.KV_REST_API_TOKEN;
+
+/* -------------------------------------------------
+   Key/value store interface
+
+   get(key)                      → value | null
+   set(key, value, ttlSeconds?)
+   setIfAbsent(key, value, ttlSeconds?) → true if written
+   incr(key, ttlSeconds?)        → new count (TTL set on first incr)
+   delete(key)
+
+   Values are JSON-serialisable. The in-memory store is
+   the default; it only lives as long as the serverless
+   instance. Set KV_REST_API_URL / KV_REST_API_TOKEN
+   (Vercel KV, Upstash) to share state between instances.
+-------------------------------------------------- */
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  write(key, value, ttlSeconds) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    });
+  }
+
+  async get(key) {
+    return this.read(key)?.value ?? null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.write(key, value, ttlSeconds);
+  }
+
+  async setIfAbsent(key, value, ttlSeconds) {
+    if (this.read(key)) return false;
+    this.write(key, value, ttlSeconds);
+    return true;
+  }
+
+  async incr(key, ttlSeconds) {
+    const entry = this.read(key);
+    if (!entry) {
+      this.write(key, 1, ttlSeconds);
+      return 1;
+    }
+    entry.value += 1;
+    return entry.value;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/* -------------------------------------------------
+   Redis REST store (Vercel KV / Upstash)
+-------------------------------------------------- */
+export class RestKvStore {
+  constructor(url = KV_URL, token = KV_TOKEN) {
+    this.url = url;
+    this.token = token;
+  }
+
+  async pipeline(commands) {
+    const res = await fetch(`${this.url}/pipeline`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(commands)
+    });
+
+    if (!res.ok) {
+      throw new Error(`KV request failed: ${res.status}`);
+    }
+
+    const results = await res.json();
+    const failed = results.find(r => r.error);
+    if (failed) {
+      throw new Error(`KV command failed: ${failed.error}`);
+    }
+    return results.map(r => r.result);
+  }
+
+  async get(key) {
+    const [value] = await this.pipeline([["GET", key]]);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttlSeconds) {
+    const command = ["SET", key, JSON.stringify(value)];
+    if (ttlSeconds) command.push("EX", ttlSeconds);
+    await this.pipeline([command]);
+  }
+
+  async setIfAbsent(key, value, ttlSeconds) {
+    const command = ["SET", key, JSON.stringify(value), "NX"];
+    if (ttlSeconds) command.push("EX", ttlSeconds);
+    const [result] = await this.pipeline([command]);
+    return result === "OK";
+  }
+
+  async incr(key, ttlSeconds) {
+    const commands = [["INCR", key]];
+    if (ttlSeconds) commands.push(["EXPIRE", key, ttlSeconds, "NX"]);
+    const [count] = await this.pipeline(commands);
+    return count;
+  }
+
+  async delete(key) {
+    await this.pipeline([["DEL", key]]);
+  }
+}
+
+/* -------------------------------------------------
+   Shared store instance
+-------------------------------------------------- */
+let store = null;
+let customStoreSet = false;
+
+export function getStore() {
+  if (!store) {
+    store = KV_URL && KV_TOKEN ? new RestKvStore() : new MemoryStore();
+  }
+  return store;
+}
+
+// Replace the store (e.g. a custom KV adapter or a fresh MemoryStore in tests)
+export function setStore(customStore) {
+  store = customStore;
+  customStoreSet = Boolean(customStore);
+}
+
+// False while state only lives in this instance (no KV_REST_API_*, no custom store)
+export function hasSharedStore() {
+  return customStoreSet || Boolean(KV_URL && KV_TOKEN);
+}
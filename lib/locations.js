@@ -0,0 +1,161 @@
+// shopify-custom-price/lib/locations.js
+import { loadRemainingEdges, shopifyFetch } from "./shopify.js";
+
+/* -------------------------------------------------
+   Location priority
+
+   LOCATION_PRIORITY=Hauptlager,gid://shopify/Location/123,456
+   Comma-separated location names or IDs. Listed
+   locations come first, in that order, followed by the
+   remaining active locations.
+-------------------------------------------------- */
+const LOCATION_PRIORITY = (process.env.LOCATION_PRIORITY || "")
+  .split(",")
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+function priorityIndex(location) {
+  const numericId = location.id.split("/").pop();
+  const index = LOCATION_PRIORITY.findIndex(
+    entry => entry === location.id || entry === numericId || entry === location.name
+  );
+  return index === -1 ? LOCATION_PRIORITY.length : index;
+}
+
+export async function getLocationsByPriority() {
+  const data = await shopifyFetch(`
+    query {
+      locations(first: 50) {
+        edges { node { id name isActive } }
+      }
+    }
+  `);
+
+  return data.locations.edges
+    .map(e => e.node)
+    .filter(location => location.isActive)
+    .map((location, order) => ({ location, order }))
+    .sort((a, b) => priorityIndex(a.location) - priorityIndex(b.location) || a.order - b.order)
+    .map(({ location }) => location);
+}
+
+export async function getDefaultLocationId() {
+  const [location] = await getLocationsByPriority();
+  if (!location) {
+    throw new Error("No active inventory location found");
+  }
+  return location.id;
+}
+
+/* -------------------------------------------------
+   Fulfilment location per line item
+   From the order's fulfillment orders; line items
+   without an assigned location use the first
+   priority location.
+   5 fulfillment orders × 50 line items per query stay
+   below Shopify's 1000-point query cost limit.
+   Returns (lineItemId) → location GID
+-------------------------------------------------- */
+const FULFILLMENT_ORDERS_PAGE = 5;
+const LINE_ITEMS_PAGE = 50;
+
+export async function getLineItemLocations(orderId) {
+  const assigned = new Map();
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const data = await shopifyFetch(
+      `
+      query ($id: ID!, $cursor: String) {
+        order(id: $id) {
+          fulfillmentOrders(first: ${FULFILLMENT_ORDERS_PAGE}, after: $cursor) {
+            edges {
+              node {
+                id
+                assignedLocation { location { id } }
+                lineItems(first: ${LINE_ITEMS_PAGE}) {
+                  edges { node { id lineItem { id } } cursor }
+                  pageInfo { hasNextPage }
+                }
+              }
+              cursor
+            }
+            pageInfo { hasNextPage }
+          }
+        }
+      }
+      `,
+      { id: `gid://shopify/Order/${orderId}`, cursor }
+    );
+
+    const page = data.order?.fulfillmentOrders;
+    if (!page) break;
+
+    for (const { node } of page.edges) {
+      const locationId = node.assignedLocation?.location?.id;
+      if (!locationId) continue;
+
+      const lines = await loadRemainingEdges(
+        node.id,
+        "FulfillmentOrder",
+        "lineItems",
+        "id lineItem { id }",
+        node.lineItems,
+        LINE_ITEMS_PAGE
+      );
+      for (const { node: line } of lines) {
+        assigned.set(line.lineItem.id, locationId);
+      }
+    }
+
+    hasNextPage = page.pageInfo.hasNextPage;
+    cursor = page.edges.at(-1)?.cursor || null;
+  }
+
+  let fallback = null;
+
+  return async function locationFor(lineItemId) {
+    const locationId = assigned.get(`gid://shopify/LineItem/${lineItemId}`);
+    if (locationId) return locationId;
+
+    fallback ??= await getDefaultLocationId();
+    return fallback;
+  };
+}
+
+/* -------------------------------------------------
+   Locations a temporary variant is stocked at:
+   wherever its starter variant is stocked, in
+   priority order (default location if none).
+-------------------------------------------------- */
+export async function getStockingLocationIds(starterVariantId) {
+  const [locations, data] = await Promise.all([
+    getLocationsByPriority(),
+    shopifyFetch(
+      `
+      query ($id: ID!) {
+        productVariant(id: $id) {
+          inventoryItem {
+            inventoryLevels(first: 50) {
+              edges { node { location { id } } }
+            }
+          }
+        }
+      }
+      `,
+      { id: `gid://shopify/ProductVariant/${starterVariantId}` }
+    )
+  ]);
+
+  const stocked = new Set(
+    (data.productVariant?.inventoryItem?.inventoryLevels.edges || []).map(
+      e => e.node.location.id
+    )
+  );
+
+  const ids = locations.filter(l => stocked.has(l.id)).map(l => l.id);
+  if (ids.length > 0) return ids;
+
+  return locations.slice(0, 1).map(l => l.id);
+}
@@ -0,0 +1,229 @@
+// shopify-custom-price/lib/markets.js
+import { formatMoney, roundMoney } from "./currency.js";
+import { loadCachedValue } from "./price-cache.js";
+import { assertNoUserErrors, shopifyFetch, ShopifyNotFoundError } from "./shopify.js";
+import { validateCountry, ValidationError } from "./validation.js";
+
+/* -------------------------------------------------
+   Shopify Markets: presentment currency prices
+
+   A request may send `country` (ISO code, e.g. "CH") or
+   `market` (market handle or GID). The base variant's
+   contextual price in that market – converted, adjusted
+   by the market's price list, or a fixed price – scales
+   the shop-currency quote. Amounts are then rounded with
+   the currency's rules (lib/currency.js).
+
+   Lookups are cached for PRICE_CACHE_TTL_SECONDS.
+-------------------------------------------------- */
+const MARKET_FIELDS = `
+  id
+  handle
+  priceList { id currency }
+  currencySettings { baseCurrency { currencyCode } }
+`;
+
+// Market by handle or GID, with the first country of its regions
+async function findMarket(handleOrId) {
+  const data = await shopifyFetch(`
+    query {
+      markets(first: 50) {
+        edges {
+          node {
+            ${MARKET_FIELDS}
+            regions(first: 1) {
+              edges { node { ... on MarketRegionCountry { code } } }
+            }
+          }
+        }
+      }
+    }
+  `);
+
+  const market = data.markets.edges
+    .map(e => e.node)
+    .find(m => m.id === handleOrId || m.handle === handleOrId);
+
+  if (!market) {
+    throw new ValidationError("UNKNOWN_MARKET", "Unknown market", { market: handleOrId });
+  }
+
+  const country = market.regions.edges[0]?.node.code;
+  if (!country) {
+    throw new ValidationError("UNKNOWN_MARKET", "Market has no countries", { market: handleOrId });
+  }
+
+  return { market, country };
+}
+
+/* -------------------------------------------------
+   Market context for a quote
+   Returns null without country / market or when the
+   country is in no market, otherwise
+   { country, market: { id, handle }, currencyCode,
+     priceListId, basePrice, shopBasePrice }
+   basePrice is the base variant's price in the
+   presentment currency.
+-------------------------------------------------- */
+export async function loadMarketContext({ country, market }, baseVariantGid) {
+  if (!country && !market) return null;
+
+  let countryCode = validateCountry(country);
+  const cacheKey = `market:${market ?? ""}:${countryCode ?? ""}:${baseVariantGid}`;
+
+  return loadCachedValue(cacheKey, async () => {
+    let marketNode = null;
+    if (market) {
+      const found = await findMarket(market);
+      marketNode = found.market;
+      countryCode ??= found.country;
+    }
+
+    const data = await shopifyFetch(
+      `
+      query ($country: CountryCode!, $id: ID!) {
+        marketByGeography(countryCode: $country) { ${MARKET_FIELDS} }
+        productVariant(id: $id) {
+          price
+          contextualPricing(context: { country: $country }) {
+            price { amount currencyCode }
+          }
+        }
+      }
+      `,
+      { country: countryCode, id: baseVariantGid }
+    );
+
+    if (!data.productVariant) {
+      throw new ShopifyNotFoundError(`Variant ${baseVariantGid} not found`);
+    }
+
+    marketNode ??= data.marketByGeography;
+    if (!marketNode) {
+      console.warn(`⚠ ${countryCode} is not in any market, quoting in the shop currency`);
+      return null;
+    }
+
+    const contextual = data.productVariant.contextualPricing.price;
+
+    return {
+      country: countryCode,
+      market: { id: marketNode.id, handle: marketNode.handle },
+      currencyCode: contextual.currencyCode,
+      priceListId:
+        marketNode.priceList?.currency === contextual.currencyCode ? marketNode.priceList.id : null,
+      basePrice: parseFloat(contextual.amount),
+      shopBasePrice: parseFloat(data.productVariant.price)
+    };
+  });
+}
+
+/* -------------------------------------------------
+   Quote in the presentment currency
+   Unit prices are converted by the base variant's
+   presentment / shop price ratio and rounded; totals
+   are rounded unit price × quantity, as at checkout.
+-------------------------------------------------- */
+export function presentmentQuote(quote, context) {
+  const { currencyCode } = context;
+  const factor = context.shopBasePrice > 0 ? context.basePrice / context.shopBasePrice : 1;
+
+  const unitPrice = roundMoney(quote.unitPrice * factor, currencyCode);
+  const undiscountedUnitPrice = roundMoney(quote.undiscountedUnitPrice * factor, currencyCode);
+
+  return {
+    country: context.country,
+    market: context.market.handle,
+    currencyCode,
+    pricePerUnit: roundMoney(quote.pricePerUnit * factor, currencyCode),
+    undiscountedUnitPrice,
+    undiscountedTotalPrice: roundMoney(undiscountedUnitPrice * quote.quantity, currencyCode),
+    unitPrice,
+    totalPrice: roundMoney(unitPrice * quote.quantity, currencyCode)
+  };
+}
+
+/* -------------------------------------------------
+   Fix a variant's price in the market's price list,
+   so checkout charges exactly the quoted amount
+-------------------------------------------------- */
+export async function setMarketFixedPrice(context, variantGid, amount) {
+  if (!context.priceListId) {
+    console.warn(`⚠ Market ${context.market.handle} has no price list, price not fixed`);
+    return false;
+  }
+
+  const data = await shopifyFetch(
+    `
+    mutation ($priceListId: ID!, $prices: [PriceListPriceInput!]!) {
+      priceListFixedPricesAdd(priceListId: $priceListId, prices: $prices) {
+        prices { variant { id } }
+        userErrors { field message }
+      }
+    }
+    `,
+    {
+      priceListId: context.priceListId,
+      prices: [
+        {
+          variantId: variantGid,
+          price: {
+            amount: formatMoney(amount, context.currencyCode),
+            currencyCode: context.currencyCode
+          }
+        }
+      ]
+    }
+  );
+  assertNoUserErrors(data.priceListFixedPricesAdd, "Price list fixed price");
+  return true;
+}
+
+/* -------------------------------------------------
+   Remove a variant's fixed prices from every price list
+   Fixed prices belong to one label and unit price: a
+   relabelled (pooled) or re-priced variant would
+   otherwise keep charging the old amount in markets
+   the current request does not touch.
+-------------------------------------------------- */
+export async function clearFixedPrices(variantGid) {
+  const data = await shopifyFetch(
+    `
+    query ($variantQuery: String!) {
+      priceLists(first: 50) {
+        edges {
+          node {
+            id
+            prices(first: 1, originType: FIXED, query: $variantQuery) {
+              edges { node { variant { id } } }
+            }
+          }
+        }
+      }
+    }
+    `,
+    { variantQuery: `variant_id:${variantGid.split("/").pop()}` }
+  );
+
+  const priceListIds = data.priceLists.edges
+    .map(e => e.node)
+    .filter(priceList => priceList.prices.edges.length > 0)
+    .map(priceList => priceList.id);
+
+  for (const priceListId of priceListIds) {
+    const result = await shopifyFetch(
+      `
+      mutation ($priceListId: ID!, $variantIds: [ID!]!) {
+        priceListFixedPricesDelete(priceListId: $priceListId, variantIds: $variantIds) {
+          deletedFixedPriceVariantIds
+          userErrors { field message }
+        }
+      }
+      `,
+      { priceListId, variantIds: [variantGid] }
+    );
+    assertNoUserErrors(result.priceListFixedPricesDelete, "Price list fixed price removal");
+  }
+
+  return priceListIds.length;
+}
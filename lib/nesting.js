@@ -0,0 +1,217 @@
+// shopify-custom-price/lib/nesting.js
+import { ValidationError } from "./validation.js";
+
+/* -------------------------------------------------
+   Stock formats (custom_price_app.stock_format)
+
+   Rectangular pieces in area mode are cut from rolls of
+   a fixed width or from sheets of a fixed size:
+
+   { "type": "roll",  "widthMm": 1250 }
+   { "type": "sheet", "lengthMm": 3000, "widthMm": 1500 }
+
+   rotate    pieces may be turned by 90° (default true)
+   kerfMm    material lost per cut (default 0)
+   pricing   "consumed" (default): bill the material the
+             layout uses, offcuts included
+             "net": bill length × width, layout for info
+
+   A piece's length runs along the roll / sheet length.
+   NESTING_MAX_PIECES caps the pieces laid out per quote
+   (default 500); larger quotes are billed by net area.
+-------------------------------------------------- */
+const STOCK_TYPES = ["roll", "sheet"];
+const PRICING_BASES = ["consumed", "net"];
+
+const MAX_PIECES = Number(process.env.NESTING_MAX_PIECES || 500);
+
+const isPositive = num => Number.isFinite(num) && num > 0;
+const round3 = value => Math.round(value * 1000) / 1000;
+
+export function parseStockFormat(value) {
+  let format = value;
+
+  if (typeof value === "string") {
+    try {
+      format = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!format || !STOCK_TYPES.includes(format.type)) return null;
+
+  const widthMm = Number(format.widthMm);
+  const lengthMm = format.type === "sheet" ? Number(format.lengthMm) : null;
+  const kerfMm = Number(format.kerfMm ?? 0);
+  const pricing = format.pricing ?? "consumed";
+
+  if (!isPositive(widthMm) || (format.type === "sheet" && !isPositive(lengthMm))) return null;
+  if (!Number.isFinite(kerfMm) || kerfMm < 0 || !PRICING_BASES.includes(pricing)) return null;
+
+  return {
+    type: format.type,
+    widthMm,
+    lengthMm,
+    rotate: format.rotate !== false,
+    kerfMm,
+    pricing
+  };
+}
+
+/* -------------------------------------------------
+   Orientations a piece fits the stock in
+   across: size across the roll / sheet width
+   along:  size along its length (kerf included)
+-------------------------------------------------- */
+function orientations(piece, format) {
+  const kerf = format.kerfMm;
+  const options = [
+    { across: piece.widthMm + kerf, along: piece.lengthMm + kerf, rotated: false }
+  ];
+  if (format.rotate && piece.widthMm !== piece.lengthMm) {
+    options.push({ across: piece.lengthMm + kerf, along: piece.widthMm + kerf, rotated: true });
+  }
+
+  // The last cut of a row / sheet needs no kerf
+  const maxAcross = format.widthMm + kerf;
+  const maxAlong = (format.lengthMm ?? Infinity) + kerf;
+  return options.filter(o => o.across <= maxAcross && o.along <= maxAlong);
+}
+
+const lowestAlong = options => Math.min(...options.map(o => o.along));
+
+// Add to an open row (shelf) that is tall enough and has room left
+function placeInRow(stocks, options, format) {
+  const maxAcross = format.widthMm + format.kerfMm;
+
+  for (const stock of stocks) {
+    for (const row of stock.rows) {
+      const fitting = options
+        .filter(o => o.along <= row.along && row.across + o.across <= maxAcross)
+        .sort((a, b) => b.along - a.along || a.across - b.across);
+
+      if (fitting.length > 0) {
+        row.across += fitting[0].across;
+        return fitting[0];
+      }
+    }
+  }
+  return null;
+}
+
+// Start a new row, on a new sheet if none has room
+function openRow(stocks, options, format, preference) {
+  const maxAlong = (format.lengthMm ?? Infinity) + format.kerfMm;
+  const preferred = [...options].sort(preference);
+
+  for (const stock of stocks) {
+    const option = preferred.find(o => stock.along + o.along <= maxAlong);
+    if (option) {
+      stock.rows.push({ along: option.along, across: option.across });
+      stock.along += option.along;
+      return option;
+    }
+  }
+
+  const [option] = preferred;
+  stocks.push({ rows: [{ along: option.along, across: option.across }], along: option.along });
+  return option;
+}
+
+// New rows either as short as possible or as narrow as possible
+const ROW_PREFERENCES = [
+  (a, b) => a.along - b.along || a.across - b.across,
+  (a, b) => a.across - b.across || a.along - b.along
+];
+
+function packRows(items, format, preference) {
+  const stocks = [];
+  let rotatedPieces = 0;
+
+  for (const options of items) {
+    const placed =
+      placeInRow(stocks, options, format) ?? openRow(stocks, options, format, preference);
+    if (placed.rotated) rotatedPieces++;
+  }
+
+  const consumedLengthMm =
+    format.type === "roll" ? Math.max(0, stocks[0].along - format.kerfMm) : null;
+  const consumedAreaMm2 =
+    format.type === "roll"
+      ? consumedLengthMm * format.widthMm
+      : stocks.length * format.lengthMm * format.widthMm;
+
+  return {
+    sheets: stocks.length,
+    rows: stocks.reduce((sum, stock) => sum + stock.rows.length, 0),
+    rotatedPieces,
+    consumedLengthMm,
+    consumedAreaMm2
+  };
+}
+
+/* -------------------------------------------------
+   Lay out pieces on the stock (shelf packing)
+   pieces: [{ lengthMm, widthMm, quantity }]
+
+   Pieces are placed tallest first into rows across the
+   roll / sheet width, each in the orientation that fills
+   the row best; of two row strategies the one using less
+   material wins. Returns the layout summary, or null when
+   there are more than NESTING_MAX_PIECES pieces.
+-------------------------------------------------- */
+export function nestPieces(pieces, format) {
+  const items = [];
+  let netAreaMm2 = 0;
+
+  for (const piece of pieces) {
+    const options = orientations(piece, format);
+    if (options.length === 0) {
+      throw new ValidationError(
+        "PIECE_EXCEEDS_STOCK",
+        `A ${piece.lengthMm} × ${piece.widthMm} mm piece does not fit the ${format.type}`,
+        {
+          lengthMm: piece.lengthMm,
+          widthMm: piece.widthMm,
+          stockType: format.type,
+          stockWidthMm: format.widthMm,
+          stockLengthMm: format.lengthMm,
+          rotate: format.rotate
+        }
+      );
+    }
+
+    netAreaMm2 += piece.lengthMm * piece.widthMm * piece.quantity;
+    for (let i = 0; i < piece.quantity && items.length <= MAX_PIECES; i++) {
+      items.push(options);
+    }
+  }
+
+  if (items.length > MAX_PIECES) {
+    console.warn(`⚠ More than ${MAX_PIECES} pieces, skipping nesting`);
+    return null;
+  }
+
+  items.sort((a, b) => lowestAlong(b) - lowestAlong(a));
+
+  // Keep the layout that uses the least material
+  const { sheets, rows, rotatedPieces, consumedLengthMm, consumedAreaMm2 } = ROW_PREFERENCES
+    .map(preference => packRows(items, format, preference))
+    .reduce((best, layout) => (layout.consumedAreaMm2 < best.consumedAreaMm2 ? layout : best));
+
+  return {
+    type: format.type,
+    pricing: format.pricing,
+    stockWidthMm: format.widthMm,
+    stockLengthMm: format.lengthMm,
+    pieces: items.length,
+    rotatedPieces,
+    rows,
+    ...(format.type === "roll" ? { consumedLengthMm } : { sheets }),
+    netAreaSqm: round3(netAreaMm2 / 1e6),
+    consumedAreaSqm: round3(consumedAreaMm2 / 1e6),
+    wastePercent: Math.round((1 - netAreaMm2 / consumedAreaMm2) * 1000) / 10,
+    // Consumed / net material, scales the billable area
+    materialFactor: consumedAreaMm2 / netAreaMm2
+  };
+}
@@ -0,0 +1,135 @@
+// shopify-custom-price/lib/order-processing.js
+import crypto from "crypto";
+import { getOrderMetafield, setOrderMetafield } from "./inventory.js";
+import { getStore, hasSharedStore } from "./kv.js";
+
+/* -------------------------------------------------
+   Per-line processing records
+
+   Every line item that has been applied to inventory is
+   recorded, so a retried delivery only does the work
+   that is still missing. Keys:
+     <lineItemId>                   deducted (orders/paid)
+     cancel:<lineItemId>            restocked (orders/cancelled)
+     refund:<refundId>:<lineId>     restocked (refunds/create)
+   Deductions keep { quantity, consumed } (stock units
+   taken for the whole line) and what has been given back
+   since: { restockedQuantity, restocked }.
+
+   PROCESSING_RECORDS=metafield (default)
+     order metafield custom_price_app.processed_line_items
+   PROCESSING_RECORDS=kv
+     shared key/value store (lib/kv.js)
+-------------------------------------------------- */
+const RECORDS_BACKEND = process.env.PROCESSING_RECORDS || "metafield";
+const RECORD_TTL_SECONDS = 90 * 24 * 3600;
+
+const metafieldRecords = {
+  async load(orderId) {
+    const value = await getOrderMetafield(orderId, "processed_line_items");
+    return value ? JSON.parse(value) : {};
+  },
+  async save(orderId, records) {
+    await setOrderMetafield(
+      orderId,
+      "processed_line_items",
+      JSON.stringify(records),
+      "json"
+    );
+  }
+};
+
+const kvRecords = {
+  async load(orderId) {
+    return (await getStore().get(`processed:${orderId}`)) ?? {};
+  },
+  async save(orderId, records) {
+    await getStore().set(`processed:${orderId}`, records, RECORD_TTL_SECONDS);
+  }
+};
+
+export async function loadProcessedLineItems(orderId) {
+  const backend = RECORDS_BACKEND === "kv" ? kvRecords : metafieldRecords;
+  const records = await backend.load(orderId);
+
+  // Older records are a plain list of deducted line item IDs
+  const processed = new Map(
+    Array.isArray(records) ? records.map(id => [String(id), {}]) : Object.entries(records)
+  );
+
+  return {
+    has: key => processed.has(String(key)),
+    get: key => processed.get(String(key)) ?? null,
+    // Records several keys with one write: { key: record }
+    async add(entries) {
+      for (const [key, record] of Object.entries(entries)) processed.set(key, record);
+      await backend.save(orderId, Object.fromEntries(processed));
+    }
+  };
+}
+
+/* -------------------------------------------------
+   Share of a deduction to give back
+   Consumption is rounded up per line, so restocking
+   part of a line with materialConsumption() would add
+   back more than was taken. Returns the stock units for
+   `quantity` more pieces and the updated deduction, or
+   null for records without `consumed`.
+-------------------------------------------------- */
+export function restockShare(deduction, quantity) {
+  if (deduction?.consumed === undefined) return null;
+
+  const previous = deduction.restocked || 0;
+  const restockedQuantity = Math.min(
+    deduction.quantity,
+    (deduction.restockedQuantity || 0) + quantity
+  );
+  const restocked = Math.floor((deduction.consumed * restockedQuantity) / deduction.quantity);
+
+  return {
+    amount: restocked - previous,
+    deduction: { ...deduction, restockedQuantity, restocked }
+  };
+}
+
+/* -------------------------------------------------
+   Order lock
+   Only one delivery processes an order at a time. The
+   lock expires on its own if a function instance dies.
+   It needs an atomic, shared store (KV_REST_API_* or a
+   store passed to setStore()); without one, deliveries
+   fail instead of running unlocked.
+-------------------------------------------------- */
+const LOCK_TTL_SECONDS = 120;
+
+export class OrderLockedError extends Error {
+  constructor(orderId) {
+    super(`Order ${orderId} is being processed by another delivery`);
+    this.name = "OrderLockedError";
+  }
+}
+
+export async function withOrderLock(orderId, work) {
+  if (!hasSharedStore()) {
+    throw new Error(
+      "Order lock needs a shared store: set KV_REST_API_URL and KV_REST_API_TOKEN"
+    );
+  }
+
+  const store = getStore();
+  const key = `lock:order:${orderId}`;
+  const token = crypto.randomUUID();
+
+  if (!(await store.setIfAbsent(key, token, LOCK_TTL_SECONDS))) {
+    throw new OrderLockedError(orderId);
+  }
+
+  try {
+    return await work();
+  } finally {
+    // Do not release a lock that expired and was taken over
+    if ((await store.get(key)) === token) {
+      await store.delete(key);
+    }
+  }
+}
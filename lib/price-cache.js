@@ -0,0 +1,103 @@
+// shopify-custom-price/lib/price-cache.js
+import { getStore } from "./kv.js";
+import { ShopifyError } from "./shopify.js";
+
+/* -------------------------------------------------
+   Price lookup cache
+
+   PRICE_CACHE_TTL_SECONDS   fresh for this long (default 300, 0 disables)
+   PRICE_CACHE_STALE_SECONDS kept this long as a fallback
+                             while the Admin API fails or
+                             throttles (default 86400)
+
+   Caches the product / variant nodes pricing is built
+   from (base price, pricing metafields), one entry per
+   GID, in the shared store (lib/kv.js). The
+   products/update webhook drops a product's entries.
+-------------------------------------------------- */
+const TTL_SECONDS = Number(process.env.PRICE_CACHE_TTL_SECONDS ?? 300);
+const STALE_SECONDS = Number(process.env.PRICE_CACHE_STALE_SECONDS ?? 86400);
+
+const cacheKey = gid => `price:${gid}`;
+
+const isFresh = entry => Date.now() - entry.cachedAt < TTL_SECONDS * 1000;
+
+/* -------------------------------------------------
+   Nodes by GID
+   Cached nodes are used while fresh; the rest come from
+   fetchNodes(ids) → [node | null]. If that fails with a
+   Shopify error, stale entries are served instead.
+   Returns Map(gid → node)
+-------------------------------------------------- */
+export async function loadCachedNodes(ids, fetchNodes) {
+  if (!TTL_SECONDS) {
+    const nodes = await fetchNodes(ids);
+    return new Map(nodes.filter(Boolean).map(node => [node.id, node]));
+  }
+
+  const store = getStore();
+  const entries = new Map(
+    await Promise.all(ids.map(async id => [id, await store.get(cacheKey(id))]))
+  );
+
+  const result = new Map();
+  const missing = [];
+
+  for (const id of ids) {
+    const entry = entries.get(id);
+    if (entry && isFresh(entry)) {
+      result.set(id, entry.node);
+    } else {
+      missing.push(id);
+    }
+  }
+
+  if (missing.length === 0) return result;
+
+  let nodes;
+  try {
+    nodes = await fetchNodes(missing);
+  } catch (err) {
+    const canServeStale = missing.every(id => entries.get(id));
+    if (!(err instanceof ShopifyError) || !canServeStale) throw err;
+
+    console.warn(`⚠ Serving stale prices (${err.message})`);
+    for (const id of missing) result.set(id, entries.get(id).node);
+    return result;
+  }
+
+  const cachedAt = Date.now();
+  await Promise.all(
+    nodes.filter(Boolean).map(node => {
+      result.set(node.id, node);
+      return store.set(cacheKey(node.id), { node, cachedAt }, STALE_SECONDS);
+    })
+  );
+
+  return result;
+}
+
+/* -------------------------------------------------
+   Other pricing lookups (markets, shop tax settings)
+   Cached for PRICE_CACHE_TTL_SECONDS under `key`; not
+   invalidated by webhooks.
+-------------------------------------------------- */
+export async function loadCachedValue(key, load) {
+  if (!TTL_SECONDS) return load();
+
+  const store = getStore();
+  const hit = await store.get(key);
+  if (hit) return hit;
+
+  const value = await load();
+  await store.set(key, value, TTL_SECONDS);
+  return value;
+}
+
+/* -------------------------------------------------
+   Drop a product and its variants (products/update)
+-------------------------------------------------- */
+export async function invalidateProduct(productGid, variantGids = []) {
+  const store = getStore();
+  await Promise.all([productGid, ...variantGids].map(gid => store.delete(cacheKey(gid))));
+}
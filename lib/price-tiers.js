@@ -0,0 +1,101 @@
+// shopify-custom-price/lib/price-tiers.js
+import tierConfig from "../config/price-tiers.js";
+
+/* -------------------------------------------------
+   Volume discount tiers
+
+   {
+     basis: "quantity" | "measure",
+     tiers: [{ min, discountPercent } | { min, pricePerUnit }]
+   }
+
+   basis "quantity": total pieces
+   basis "measure":  total billable m / m² / m³ (price unit)
+
+   A tier applies from its `min` upward; the highest
+   reached tier wins. A plain array is read as a
+   quantity-based table.
+-------------------------------------------------- */
+const BASES = ["quantity", "measure"];
+
+function parseTier(tier) {
+  const min = Number(tier?.min);
+  if (!Number.isFinite(min) || min < 0) return null;
+
+  if (tier.pricePerUnit !== undefined) {
+    const pricePerUnit = Number(tier.pricePerUnit);
+    if (!Number.isFinite(pricePerUnit) || pricePerUnit < 0) return null;
+    return { min, pricePerUnit };
+  }
+
+  const discountPercent = Number(tier.discountPercent);
+  if (!Number.isFinite(discountPercent) || discountPercent < 0 || discountPercent > 100) {
+    return null;
+  }
+  return { min, discountPercent };
+}
+
+export function parsePriceTiers(value) {
+  let table = value;
+
+  if (typeof value === "string") {
+    try {
+      table = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (Array.isArray(table)) {
+    table = { basis: "quantity", tiers: table };
+  }
+  if (!table || !BASES.includes(table.basis) || !Array.isArray(table.tiers)) {
+    return null;
+  }
+
+  const tiers = table.tiers.map(parseTier);
+  if (tiers.length === 0 || tiers.some(t => t === null)) return null;
+
+  return {
+    basis: table.basis,
+    tiers: tiers.sort((a, b) => a.min - b.min)
+  };
+}
+
+// Tier table from config/price-tiers.js (fallback when no metafield is set)
+export function configuredPriceTiers(productGid) {
+  const numericId = productGid.split("/").pop();
+  const table = tierConfig[numericId];
+  if (!table) return null;
+
+  const parsed = parsePriceTiers(table);
+  if (!parsed) {
+    console.warn(`⚠ Ignoring invalid price tiers in config for product ${numericId}`);
+  }
+  return parsed;
+}
+
+/* -------------------------------------------------
+   Pick the tier for the given totals
+   totals: { quantity, measure }
+   Returns { level, basis, min, ... } (level is 1-based) or null
+-------------------------------------------------- */
+export function selectPriceTier(priceTiers, totals) {
+  if (!priceTiers) return null;
+
+  const total = totals[priceTiers.basis];
+  let selected = null;
+
+  priceTiers.tiers.forEach((tier, index) => {
+    if (total >= tier.min) {
+      selected = { level: index + 1, basis: priceTiers.basis, ...tier };
+    }
+  });
+
+  return selected;
+}
+
+export function tierRate(pricePerUnit, tier) {
+  if (!tier) return pricePerUnit;
+  if (tier.pricePerUnit !== undefined) return tier.pricePerUnit;
+  return pricePerUnit * (1 - tier.discountPercent / 100);
+}
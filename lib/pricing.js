@@ -0,0 +1,444 @@
+// shopify-custom-price/lib/pricing.js
+import {
+  configuredPriceTiers,
+  parsePriceTiers,
+  selectPriceTier,
+  tierRate
+} from "./price-tiers.js";
+import { nestPieces, parseStockFormat } from "./nesting.js";
+import { loadCachedNodes } from "./price-cache.js";
+import { shopifyFetch } from "./shopify.js";
+import { convertMeasure, isLengthUnit, unitLabel } from "./units.js";
+import { validateDimensions, ValidationError } from "./validation.js";
+
+export const METAFIELD_NAMESPACE = "custom_price_app";
+
+/* -------------------------------------------------
+   Per-product rules (custom_price_app metafields)
+
+   min_billable_length_mm  length/width/perimeter modes: bill at least this length
+   min_billable_area_sqm   area/circle modes: bill at least this area
+   min_billable_volume_cbm volume mode: bill at least this volume
+   cutting_step_mm         round every dimension up to this step
+   cutting_fee             fixed fee added per piece
+   min_dimension_mm        smallest dimension we accept
+   max_dimension_mm        largest dimension we accept
+   min_<dim>_mm, max_<dim>_mm
+                           limits for one dimension (length, width,
+                           diameter, thickness), e.g. max_width_mm
+   price_unit              unit the base price refers to: mm, cm, m
+                           (default), in or ft — per unit, unit² or
+                           unit³ depending on the mode
+   price_tiers             JSON volume discount table (see price-tiers.js);
+                           falls back to config/price-tiers.js
+   stock_format            JSON roll / sheet format for area mode
+                           (see nesting.js)
+-------------------------------------------------- */
+const RULE_KEYS = {
+  min_billable_length_mm: "minBillableLengthMm",
+  min_billable_area_sqm: "minBillableAreaSqm",
+  min_billable_volume_cbm: "minBillableVolumeCbm",
+  cutting_step_mm: "cuttingStepMm",
+  cutting_fee: "cuttingFee",
+  min_dimension_mm: "minDimensionMm",
+  max_dimension_mm: "maxDimensionMm"
+};
+
+export const DEFAULT_RULES = Object.freeze({
+  minBillableLengthMm: 0,
+  minBillableAreaSqm: 0,
+  minBillableVolumeCbm: 0,
+  cuttingStepMm: 0,
+  cuttingFee: 0,
+  minDimensionMm: 0,
+  maxDimensionMm: Infinity,
+  priceUnit: "m",
+  priceTiers: null,
+  stockFormat: null,
+  dimensionLimits: {}
+});
+
+const DIMENSION_LIMIT_KEY = /^(min|max)_(length|width|diameter|thickness)_mm$/;
+
+/* -------------------------------------------------
+   Pricing modes
+   dimensions: inputs required by the mode
+   power:      1 = priced per length, 2 = per area, 3 = per volume
+   measure:    billable measure in mm, mm² or mm³
+   detail:     name of the metric measure in the response
+   minRule:    rule holding the minimum billable measure
+-------------------------------------------------- */
+export const PRICING_MODES = {
+  length: {
+    dimensions: ["length"],
+    power: 1,
+    measure: d => d.length,
+    detail: "meters",
+    minRule: "min_billable_length_mm"
+  },
+  width: {
+    dimensions: ["width"],
+    power: 1,
+    measure: d => d.width,
+    detail: "meters",
+    minRule: "min_billable_length_mm"
+  },
+  area: {
+    dimensions: ["length", "width"],
+    power: 2,
+    measure: d => d.length * d.width,
+    detail: "areaSqm",
+    minRule: "min_billable_area_sqm"
+  },
+  perimeter: {
+    dimensions: ["length", "width"],
+    power: 1,
+    measure: d => 2 * (d.length + d.width),
+    detail: "meters",
+    minRule: "min_billable_length_mm"
+  },
+  circle: {
+    dimensions: ["diameter"],
+    power: 2,
+    measure: d => (Math.PI * d.diameter ** 2) / 4,
+    detail: "areaSqm",
+    minRule: "min_billable_area_sqm"
+  },
+  volume: {
+    dimensions: ["length", "width", "thickness"],
+    power: 3,
+    measure: d => d.length * d.width * d.thickness,
+    detail: "volumeCbm",
+    minRule: "min_billable_volume_cbm"
+  }
+};
+
+// Minimum billable measure in mm, mm² or mm³
+function minBillableMeasure(mode, rules) {
+  switch (PRICING_MODES[mode].minRule) {
+    case "min_billable_length_mm":
+      return rules.minBillableLengthMm;
+    case "min_billable_area_sqm":
+      return rules.minBillableAreaSqm * 1000 ** 2;
+    default:
+      return rules.minBillableVolumeCbm * 1000 ** 3;
+  }
+}
+
+export class PricingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PricingError";
+    this.status = status;
+  }
+}
+
+/* -------------------------------------------------
+   Helpers
+-------------------------------------------------- */
+export function roundCents(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+function roundUpToStep(valueMm, stepMm) {
+  if (!stepMm) return valueMm;
+  return Math.ceil(valueMm / stepMm) * stepMm;
+}
+
+export function parsePricingRules(metafields = []) {
+  const rules = { ...DEFAULT_RULES, dimensionLimits: {} };
+
+  for (const { key, value } of metafields) {
+    if (key === "price_unit") {
+      if (isLengthUnit(value)) {
+        rules.priceUnit = value;
+      } else {
+        console.warn(`⚠ Ignoring invalid pricing rule ${key}=${value}`);
+      }
+      continue;
+    }
+
+    if (key === "price_tiers") {
+      rules.priceTiers = parsePriceTiers(value);
+      if (!rules.priceTiers) {
+        console.warn(`⚠ Ignoring invalid pricing rule ${key}=${value}`);
+      }
+      continue;
+    }
+
+    if (key === "stock_format") {
+      rules.stockFormat = parseStockFormat(value);
+      if (!rules.stockFormat) {
+        console.warn(`⚠ Ignoring invalid pricing rule ${key}=${value}`);
+      }
+      continue;
+    }
+
+    const limit = DIMENSION_LIMIT_KEY.exec(key);
+    const ruleName = RULE_KEYS[key];
+    if (!ruleName && !limit) continue;
+
+    const num = Number(value);
+    if (value === "" || !Number.isFinite(num) || num < 0) {
+      console.warn(`⚠ Ignoring invalid pricing rule ${key}=${value}`);
+      continue;
+    }
+
+    if (limit) {
+      const [, bound, dimension] = limit;
+      rules.dimensionLimits[dimension] = {
+        ...rules.dimensionLimits[dimension],
+        [`${bound}Mm`]: num
+      };
+    } else {
+      rules[ruleName] = num;
+    }
+  }
+
+  return rules;
+}
+
+/* -------------------------------------------------
+   Load base price + rules for products
+   (selected variant, or first variant if not provided)
+
+   Every distinct product and variant is fetched once,
+   in nodes() queries of NODES_PAGE IDs, unless it is in
+   the price cache (lib/price-cache.js). Returns a lookup that
+   yields the context or throws a PricingError.
+-------------------------------------------------- */
+export function toGid(type, id) {
+  const match = /^(?:gid:\/\/shopify\/(\w+)\/)?(\d+)$/.exec(id?.toString() ?? "");
+  if (!match || (match[1] && match[1] !== type)) {
+    throw new PricingError(`Invalid ${type} ID`);
+  }
+  return `gid://shopify/${type}/${match[2]}`;
+}
+
+// A product node costs about 56 points (50 metafields), so 15 IDs
+// stay below Shopify's 1000-point query cost limit
+const NODES_PAGE = 15;
+
+async function fetchPricingNodes(ids) {
+  const nodes = [];
+  for (let i = 0; i < ids.length; i += NODES_PAGE) {
+    nodes.push(...(await fetchPricingNodesPage(ids.slice(i, i + NODES_PAGE))));
+  }
+  return nodes;
+}
+
+async function fetchPricingNodesPage(ids) {
+  const data = await shopifyFetch(
+    `
+    query ($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          metafields(namespace: "${METAFIELD_NAMESPACE}", first: 50) {
+            edges { node { key value } }
+          }
+          variants(first: 1) {
+            edges { node { id price } }
+          }
+        }
+        ... on ProductVariant {
+          id
+          price
+          product { id }
+        }
+      }
+    }
+    `,
+    { ids }
+  );
+
+  return data.nodes;
+}
+
+export async function loadPricingContexts(requests) {
+  const productIds = new Set();
+  const variantIds = new Set();
+
+  for (const { productId, variantId } of requests) {
+    try {
+      productIds.add(toGid("Product", productId));
+      if (variantId) variantIds.add(toGid("ProductVariant", variantId));
+    } catch {
+      // Reported per request by getPricingContext()
+    }
+  }
+
+  const nodes = await loadCachedNodes([...productIds, ...variantIds], fetchPricingNodes);
+
+  return function getPricingContext(productId, variantId = null) {
+    const productGid = toGid("Product", productId);
+    const variantGid = variantId ? toGid("ProductVariant", variantId) : null;
+
+    const product = nodes.get(productGid);
+    if (!product || product.variants.edges.length === 0) {
+      throw new PricingError("Product not found", 404);
+    }
+
+    let baseVariant = product.variants.edges[0].node;
+
+    if (variantGid) {
+      const selected = nodes.get(variantGid);
+      if (selected && selected.product.id === product.id) {
+        baseVariant = selected;
+      } else {
+        console.warn(`Selected variant ${variantGid} not found, falling back to first variant`);
+      }
+    }
+
+    const rules = parsePricingRules(product.metafields.edges.map(e => e.node));
+    rules.priceTiers ??= configuredPriceTiers(product.id);
+
+    return {
+      productId: product.id,
+      productTitle: product.title,
+      baseVariantId: baseVariant.id.split("/").pop(),
+      pricePerUnit: parseFloat(baseVariant.price),
+      rules
+    };
+  };
+}
+
+export async function loadPricingContext(productId, variantId = null) {
+  const getPricingContext = await loadPricingContexts([{ productId, variantId }]);
+  return getPricingContext(productId, variantId);
+}
+
+/* -------------------------------------------------
+   Price calculation
+   Single source of truth for calculate-price and
+   create-variant, so a quote always equals the
+   price of the variant created for it.
+
+   tierTotals: totals the volume tier is chosen by
+   ({ quantity, measure }); defaults to this line alone.
+   Batch quotes pass the totals of all lines of a product.
+
+   stockLayout: nesting of the pieces on the product's
+   stock format (area mode); defaults to this line alone.
+   Batch quotes pass the layout of all area lines of a
+   product.
+-------------------------------------------------- */
+export function calculatePrice({
+  pricePerUnit,
+  mode,
+  unit = "mm",
+  dimensions: input = {},
+  quantity = 1,
+  rules = DEFAULT_RULES,
+  tierTotals = null,
+  stockLayout = null
+}) {
+  const modeConfig = PRICING_MODES[mode];
+  if (!modeConfig) {
+    throw new ValidationError("INVALID_MODE", "Invalid mode", {
+      mode: mode ?? null,
+      allowed: Object.keys(PRICING_MODES)
+    });
+  }
+
+  /* 1. Valid, in-range dimensions (lib/validation.js) */
+  const {
+    dimensions,
+    dimensionsMm,
+    quantity: qty
+  } = validateDimensions(
+    { names: modeConfig.dimensions, unit, dimensions: input, quantity },
+    rules
+  );
+  const appliedRules = [];
+
+  /* 2. Round up to cutting step */
+  const billed = {};
+  for (const [name, value] of Object.entries(dimensionsMm)) {
+    billed[name] = roundUpToStep(value, rules.cuttingStepMm);
+  }
+  if (rules.cuttingStepMm) {
+    appliedRules.push({ rule: "cutting_step_mm", value: rules.cuttingStepMm });
+  }
+
+  /* 3. Billable measure (mm, mm² or mm³) */
+  let measure = modeConfig.measure(billed);
+
+  /* 3.5 Stock format: bill the roll / sheet material the pieces use */
+  const layout =
+    mode === "area" && rules.stockFormat
+      ? stockLayout ??
+        nestPieces(
+          [{ lengthMm: billed.length, widthMm: billed.width, quantity: qty }],
+          rules.stockFormat
+        )
+      : null;
+
+  if (layout?.pricing === "consumed") {
+    measure *= layout.materialFactor;
+    appliedRules.push({ rule: "stock_format", value: layout.type });
+  }
+
+  const billableMeasure = Math.max(measure, minBillableMeasure(mode, rules));
+  if (billableMeasure > measure) {
+    appliedRules.push({
+      rule: modeConfig.minRule,
+      value: rules[RULE_KEYS[modeConfig.minRule]]
+    });
+  }
+
+  /* 4. Unit + total price (base price is per price unit, unit² or unit³) */
+  const billableQuantity = convertMeasure(
+    billableMeasure,
+    rules.priceUnit,
+    modeConfig.power
+  );
+
+  const priceForRate = rate =>
+    roundCents(rate * billableQuantity + rules.cuttingFee);
+
+  if (rules.cuttingFee) {
+    appliedRules.push({ rule: "cutting_fee", value: rules.cuttingFee });
+  }
+
+  /* 5. Volume tier (discounts the rate, not the cutting fee) */
+  const tier = selectPriceTier(
+    rules.priceTiers,
+    tierTotals ?? { quantity: qty, measure: billableQuantity * qty }
+  );
+  if (tier) {
+    appliedRules.push({ rule: "price_tiers", value: tier.level });
+  }
+
+  const undiscountedUnitPrice = priceForRate(pricePerUnit);
+  const unitPrice = priceForRate(tierRate(pricePerUnit, tier));
+
+  const totalPrice = roundCents(unitPrice * qty);
+
+  return {
+    mode,
+    unit,
+    dimensions,
+    pricePerUnit,
+    priceUnit: unitLabel(rules.priceUnit, modeConfig.power),
+    lengthMm: dimensionsMm.length ?? null,
+    widthMm: dimensionsMm.width ?? null,
+    diameterMm: dimensionsMm.diameter ?? null,
+    thicknessMm: dimensionsMm.thickness ?? null,
+    billedLengthMm: billed.length ?? null,
+    billedWidthMm: billed.width ?? null,
+    billedDiameterMm: billed.diameter ?? null,
+    billedThicknessMm: billed.thickness ?? null,
+    billableQuantity,
+    quantity: qty,
+    tier,
+    undiscountedUnitPrice,
+    undiscountedTotalPrice: roundCents(undiscountedUnitPrice * qty),
+    unitPrice,
+    totalPrice,
+    appliedRules,
+    layout,
+    [modeConfig.detail]: convertMeasure(billableMeasure, "m", modeConfig.power)
+  };
+}
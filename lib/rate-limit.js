@@ -0,0 +1,61 @@
+// shopify-custom-price/lib/rate-limit.js
+import { getStore } from "./kv.js";
+
+/* -------------------------------------------------
+   Fixed-window rate limiting
+
+   RATE_LIMIT_IP_PER_MINUTE       create-variant calls per client IP
+   RATE_LIMIT_PRODUCT_PER_HOUR    create-variant calls per product
+   (0 disables a limit)
+-------------------------------------------------- */
+const IP_LIMIT = Number(process.env.RATE_LIMIT_IP_PER_MINUTE ?? 20);
+const PRODUCT_LIMIT = Number(process.env.RATE_LIMIT_PRODUCT_PER_HOUR ?? 200);
+
+export function getClientIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (forwarded) return forwarded.split(",")[0].trim();
+  return req.headers["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+}
+
+/* -------------------------------------------------
+   Count one hit against a window
+   Returns { allowed, limit, remaining, retryAfter }
+-------------------------------------------------- */
+export async function hitRateLimit(name, limit, windowSeconds) {
+  if (!limit) return { allowed: true };
+
+  const window = Math.floor(Date.now() / 1000 / windowSeconds);
+  const count = await getStore().incr(
+    `ratelimit:${name}:${window}`,
+    windowSeconds
+  );
+
+  const retryAfter = (window + 1) * windowSeconds - Math.floor(Date.now() / 1000);
+
+  return {
+    allowed: count <= limit,
+    limit,
+    remaining: Math.max(0, limit - count),
+    retryAfter
+  };
+}
+
+/* -------------------------------------------------
+   create-variant limits: per IP and per product
+   Returns null when allowed, otherwise the rejection
+-------------------------------------------------- */
+export async function checkCreateVariantLimits(req, productId) {
+  const checks = [
+    ["ip", `ip:${getClientIp(req)}`, IP_LIMIT, 60],
+    ["product", `product:${productId}`, PRODUCT_LIMIT, 3600]
+  ];
+
+  for (const [scope, key, limit, windowSeconds] of checks) {
+    const result = await hitRateLimit(key, limit, windowSeconds);
+    if (!result.allowed) {
+      return { scope, ...result };
+    }
+  }
+
+  return null;
+}
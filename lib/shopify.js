@@ -0,0 +1,322 @@
+// shopify-custom-price/lib/shopify.js
+import fetch from "node-fetch";
+
+const SHOP = process.env.SHOPIFY_SHOP;
+const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
+
+// The one Admin API version used by every endpoint
+export const API_VERSION = "2024-04";
+
+const MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES || 3);
+const BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+
+/* -------------------------------------------------
+   Typed Admin API errors
+   `status` is the HTTP status an endpoint answers with.
+
+   ShopifyNotFoundError     404  resource does not exist
+   ShopifyThrottledError    503  still throttled after retries
+   ShopifyPermissionError   502  token lacks access / scope
+   ShopifyUserError         422  mutation userErrors, REST 422
+   ShopifyError             502  anything else
+-------------------------------------------------- */
+export class ShopifyError extends Error {
+  constructor(message, status = 502, details = null) {
+    super(message);
+    this.name = "ShopifyError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export class ShopifyNotFoundError extends ShopifyError {
+  constructor(message = "Not found", details = null) {
+    super(message, 404, details);
+    this.name = "ShopifyNotFoundError";
+  }
+}
+
+export class ShopifyThrottledError extends ShopifyError {
+  constructor(retryAfter, details = null) {
+    super("Shopify API rate limit reached", 503, details);
+    this.name = "ShopifyThrottledError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class ShopifyPermissionError extends ShopifyError {
+  constructor(message = "Shopify access denied", details = null) {
+    super(message, 502, details);
+    this.name = "ShopifyPermissionError";
+  }
+}
+
+export class ShopifyUserError extends ShopifyError {
+  constructor(message, userErrors = []) {
+    super(message, 422, userErrors);
+    this.name = "ShopifyUserError";
+    this.userErrors = userErrors;
+  }
+}
+
+/* -------------------------------------------------
+   Map a typed error to an endpoint response
+   Returns false for errors that are not Shopify's.
+-------------------------------------------------- */
+export function sendShopifyError(res, err) {
+  if (!(err instanceof ShopifyError)) return false;
+
+  if (err instanceof ShopifyThrottledError) {
+    res.setHeader("Retry-After", String(err.retryAfter));
+  }
+
+  const body = { error: err.message };
+  if (err instanceof ShopifyUserError) body.userErrors = err.userErrors;
+
+  console.error(`✖ ${err.name}:`, err.message);
+  res.status(err.status).json(body);
+  return true;
+}
+
+// Throws ShopifyUserError when a mutation payload has userErrors
+export function assertNoUserErrors(payload, action) {
+  const errors = payload?.userErrors || [];
+  if (errors.length > 0) {
+    console.error(`✖ ${action} failed:`, errors);
+    throw new ShopifyUserError(`${action} failed: ${errors.map(e => e.message).join(", ")}`, errors);
+  }
+  return payload;
+}
+
+/* -------------------------------------------------
+   Cost-based GraphQL throttling
+   Tracks the leaky bucket reported in
+   extensions.cost.throttleStatus and waits before a
+   query when it is nearly empty.
+-------------------------------------------------- */
+const LOW_WATER_MARK = 100;
+
+let bucket = null;
+
+function updateBucket(cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+
+  bucket = {
+    maximumAvailable: status.maximumAvailable,
+    currentlyAvailable: status.currentlyAvailable,
+    restoreRate: status.restoreRate,
+    updatedAt: Date.now()
+  };
+}
+
+function bucketWaitMs(needed = LOW_WATER_MARK) {
+  if (!bucket || !bucket.restoreRate) return 0;
+
+  const elapsed = (Date.now() - bucket.updatedAt) / 1000;
+  const available = Math.min(
+    bucket.maximumAvailable,
+    bucket.currentlyAvailable + elapsed * bucket.restoreRate
+  );
+  const target = Math.min(needed, bucket.maximumAvailable);
+
+  return available >= target ? 0 : ((target - available) / bucket.restoreRate) * 1000;
+}
+
+/* -------------------------------------------------
+   HTTP client
+-------------------------------------------------- */
+let fetchImpl = fetch;
+
+// Replace the HTTP client (e.g. the fake Admin API in tests)
+export function setFetch(customFetch) {
+  fetchImpl = customFetch ?? fetch;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const backoffMs = attempt => Math.min(BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+
+function retryAfterMs(res, attempt) {
+  const header = Number(res.headers.get("retry-after"));
+  return Number.isFinite(header) && header > 0 ? header * 1000 : backoffMs(attempt);
+}
+
+/* -------------------------------------------------
+   HTTP request with 429 / 5xx retry and backoff
+   A 429 was never executed, so it is always retried.
+   A 5xx may have been applied anyway, so it is only
+   retried for reads (idempotent = false for mutations
+   and REST writes). Returns the final response; status
+   errors are mapped by the callers.
+-------------------------------------------------- */
+async function requestWithRetry(path, init, idempotent = true) {
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetchImpl(`https://${SHOP}/admin/api/${API_VERSION}/${path}`, {
+      ...init,
+      headers: { "X-Shopify-Access-Token": TOKEN, ...init.headers }
+    });
+
+    const retryable = res.status === 429 || (idempotent && res.status >= 500);
+    if (!retryable || attempt >= MAX_RETRIES) return res;
+
+    const wait = retryAfterMs(res, attempt);
+    console.warn(`⚠ Shopify ${res.status} on ${path}, retrying in ${wait} ms`);
+    await sleep(wait);
+  }
+}
+
+function httpError(res, path, details) {
+  if (res.status === 404) {
+    return new ShopifyNotFoundError(`Shopify resource not found: ${path}`, details);
+  }
+  if (res.status === 401 || res.status === 403) {
+    return new ShopifyPermissionError(`Shopify access denied (${res.status})`, details);
+  }
+  if (res.status === 429) {
+    const retryAfter = Number(res.headers.get("retry-after")) || 2;
+    return new ShopifyThrottledError(retryAfter, details);
+  }
+  if (res.status === 422) {
+    const errors = details?.errors ?? details;
+    return new ShopifyUserError("Shopify rejected the request", [].concat(errors));
+  }
+  return new ShopifyError(`Shopify request failed: ${res.status}`, 502, details);
+}
+
+async function readJson(res) {
+  const text = await res.text();
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return text;
+  }
+}
+
+const isMutation = query => /^\s*mutation\b/.test(query);
+
+/* -------------------------------------------------
+   Shopify GraphQL helper
+   Returns data; throws typed errors. Throttled
+   queries are retried once the bucket has refilled.
+-------------------------------------------------- */
+export async function shopifyFetch(query, variables = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const wait = bucketWaitMs();
+    if (wait > 0) await sleep(wait);
+
+    const res = await requestWithRetry(
+      "graphql.json",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ query, variables })
+      },
+      !isMutation(query)
+    );
+
+    const json = await readJson(res);
+    if (!res.ok) {
+      console.error(`✖ Shopify GraphQL HTTP ${res.status}`);
+      throw httpError(res, "graphql.json", json);
+    }
+
+    updateBucket(json.extensions?.cost);
+
+    if (!json.errors) return json.data;
+
+    const codes = json.errors.map(e => e.extensions?.code);
+
+    if (codes.includes("THROTTLED")) {
+      const needed = json.extensions?.cost?.requestedQueryCost;
+      const throttleWait = Math.max(bucketWaitMs(needed), backoffMs(0));
+
+      if (attempt < MAX_RETRIES) {
+        console.warn(`⚠ Shopify GraphQL throttled, retrying in ${Math.ceil(throttleWait)} ms`);
+        await sleep(throttleWait);
+        continue;
+      }
+      throw new ShopifyThrottledError(Math.ceil(throttleWait / 1000), json.errors);
+    }
+
+    console.error("✖ Shopify GraphQL errors:", json.errors);
+
+    const message = json.errors.map(e => e.message).join(", ");
+    if (codes.includes("ACCESS_DENIED")) {
+      throw new ShopifyPermissionError(message, json.errors);
+    }
+    throw new ShopifyError(`Shopify GraphQL error: ${message}`, 502, json.errors);
+  }
+}
+
+/* -------------------------------------------------
+   Remaining pages of a nested connection
+   Shopify rejects a single query above 1000 cost
+   points, so nested connections (an order's line
+   items) are read in small pages. Given the first
+   page (edges with cursor + pageInfo), this follows
+   pageInfo through node(id:) and returns all edges.
+   nodeFields: selection of one node
+-------------------------------------------------- */
+export async function loadRemainingEdges(parentId, type, field, nodeFields, firstPage, first = 50) {
+  const edges = [...firstPage.edges];
+  let hasNextPage = firstPage.pageInfo.hasNextPage;
+
+  while (hasNextPage) {
+    const data = await shopifyFetch(
+      `
+      query ($id: ID!, $cursor: String) {
+        node(id: $id) {
+          ... on ${type} {
+            ${field}(first: ${first}, after: $cursor) {
+              edges { node { ${nodeFields} } cursor }
+              pageInfo { hasNextPage }
+            }
+          }
+        }
+      }
+      `,
+      { id: parentId, cursor: edges.at(-1)?.cursor || null }
+    );
+
+    const page = data.node?.[field];
+    if (!page) break;
+
+    edges.push(...page.edges);
+    hasNextPage = page.pageInfo.hasNextPage;
+  }
+
+  return edges;
+}
+
+/* -------------------------------------------------
+   Shopify REST helper
+   Returns { data, nextPath } (nextPath from the Link header)
+-------------------------------------------------- */
+export async function shopifyRest(method, path, body) {
+  const res = await requestWithRetry(
+    path,
+    {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined
+    },
+    method === "GET"
+  );
+
+  const data = await readJson(res);
+  if (!res.ok) {
+    console.error(`✖ Shopify REST error ${res.status} for ${method} ${path}`);
+    throw httpError(res, path, data);
+  }
+
+  const link = res.headers.get("link") || "";
+  const next = /<[^>]*\/admin\/api\/[^/]+\/([^>]+)>;\s*rel="next"/.exec(link);
+
+  return { data, nextPath: next ? next[1] : null };
+}
+
+export function shopifyRestGet(path) {
+  return shopifyRest("GET", path);
+}
@@ -0,0 +1,80 @@
+// shopify-custom-price/lib/tax.js
+import taxRates from "../config/tax-rates.js";
+import { roundMinorUnit } from "./currency.js";
+import { loadCachedValue } from "./price-cache.js";
+import { shopifyFetch } from "./shopify.js";
+import { validateCountry } from "./validation.js";
+
+/* -------------------------------------------------
+   VAT breakdown for quotes
+
+   Whether prices include tax comes from the shop's
+   `taxesIncluded` setting, the rate from
+   config/tax-rates.js for the request's `country`
+   (default DEFAULT_TAX_COUNTRY). `b2b: true` asks for a
+   net quote: same amounts, but net is the one to show.
+-------------------------------------------------- */
+const DEFAULT_TAX_COUNTRY = process.env.DEFAULT_TAX_COUNTRY || "DE";
+
+export async function loadShopTaxSettings() {
+  return loadCachedValue("shop:tax", async () => {
+    const data = await shopifyFetch(`
+      query {
+        shop { taxesIncluded currencyCode }
+      }
+    `);
+    return { taxesIncluded: data.shop.taxesIncluded, currencyCode: data.shop.currencyCode };
+  });
+}
+
+/* -------------------------------------------------
+   Tax context for a request
+   Returns { country, rate, taxesIncluded, display,
+   currencyCode }
+-------------------------------------------------- */
+export async function loadTaxContext({ country, b2b }) {
+  const code = validateCountry(country) ?? DEFAULT_TAX_COUNTRY;
+  const { taxesIncluded, currencyCode } = await loadShopTaxSettings();
+
+  const rate = taxRates[code] ?? 0;
+  if (!Object.hasOwn(taxRates, code)) {
+    console.warn(`⚠ No tax rate configured for ${code}, quoting without tax`);
+  }
+
+  return {
+    country: code,
+    rate,
+    taxesIncluded,
+    display: b2b === true || b2b === "true" ? "net" : "gross",
+    currencyCode
+  };
+}
+
+/* -------------------------------------------------
+   Net / tax / gross of a price
+   Prices are gross when the shop includes taxes,
+   net otherwise; tax is rounded to the currency's
+   minor unit (no cash rounding, as at checkout), the
+   other side is derived from it so net + tax = gross.
+-------------------------------------------------- */
+export function splitTax(amount, { rate, taxesIncluded }, currencyCode) {
+  if (taxesIncluded) {
+    const tax = roundMinorUnit(amount - amount / (1 + rate), currencyCode);
+    return { net: roundMinorUnit(amount - tax, currencyCode), tax, gross: amount };
+  }
+
+  const tax = roundMinorUnit(amount * rate, currencyCode);
+  return { net: amount, tax, gross: roundMinorUnit(amount + tax, currencyCode) };
+}
+
+// Tax block of a quote (unit and line total)
+export function taxBreakdown(quote, context, currencyCode = context.currencyCode) {
+  return {
+    country: context.country,
+    rate: context.rate,
+    taxesIncluded: context.taxesIncluded,
+    display: context.display,
+    unit: splitTax(quote.unitPrice, context, currencyCode),
+    total: splitTax(quote.totalPrice, context, currencyCode)
+  };
+}
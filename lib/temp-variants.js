@@ -0,0 +1,126 @@
+// shopify-custom-price/lib/temp-variants.js
+import { loadRemainingEdges, shopifyFetch, shopifyRestGet } from "./shopify.js";
+
+export const BUFFER_MINUTES = Number(process.env.TEMP_VARIANT_BUFFER_MINUTES || 120);
+
+/* -------------------------------------------------
+   Age of a temporary variant
+   A pooled variant is re-labelled in place, so the
+   last update counts, not only the creation time.
+   Accepts GraphQL (createdAt) and REST (created_at) shapes.
+-------------------------------------------------- */
+export function lastTouchedAt(variant) {
+  const created = new Date(variant.createdAt ?? variant.created_at).getTime();
+  const updated = new Date(variant.updatedAt ?? variant.updated_at ?? 0).getTime();
+  return Math.max(created, updated || 0);
+}
+
+export function isOlderThanBuffer(variant) {
+  const bufferMs = BUFFER_MINUTES * 60 * 1000;
+  return Date.now() - lastTouchedAt(variant) > bufferMs;
+}
+
+/* -------------------------------------------------
+   Variants still referenced by the shop
+
+   open_order       in an open (unfulfilled / partially
+                    fulfilled) order
+   draft_order      in an open or invoiced draft order
+   recent_checkout  in a checkout of the last
+                    RECENT_CHECKOUT_HOURS (default 72)
+
+   since: only scan orders created after this time
+   Returns a Map of variant GID → reason
+-------------------------------------------------- */
+const RECENT_CHECKOUT_HOURS = Number(process.env.RECENT_CHECKOUT_HOURS || 72);
+
+// 20 orders × 20 line items stays below Shopify's 1000-point query cost limit
+const ORDERS_PAGE = 20;
+const LINE_ITEMS_PAGE = 20;
+
+const CONNECTION_TYPES = { orders: "Order", draftOrders: "DraftOrder" };
+
+async function collectLineItemVariants(connection, search, references, reason) {
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const data = await shopifyFetch(
+      `
+      query ($cursor: String, $search: String) {
+        ${connection}(first: ${ORDERS_PAGE}, after: $cursor, query: $search) {
+          edges {
+            node {
+              id
+              lineItems(first: ${LINE_ITEMS_PAGE}) {
+                edges { node { variant { id } } cursor }
+                pageInfo { hasNextPage }
+              }
+            }
+            cursor
+          }
+          pageInfo { hasNextPage }
+        }
+      }
+      `,
+      { cursor, search }
+    );
+
+    const page = data[connection];
+    for (const { node } of page.edges) {
+      const lineItems = await loadRemainingEdges(
+        node.id,
+        CONNECTION_TYPES[connection],
+        "lineItems",
+        "variant { id }",
+        node.lineItems
+      );
+
+      for (const { node: item } of lineItems) {
+        const id = item.variant?.id;
+        if (id && !references.has(id)) references.set(id, reason);
+      }
+    }
+
+    hasNextPage = page.pageInfo.hasNextPage;
+    cursor = page.edges.at(-1)?.cursor || null;
+  }
+}
+
+async function collectCheckoutVariants(references) {
+  const since = new Date(Date.now() - RECENT_CHECKOUT_HOURS * 3600 * 1000);
+  let path = `checkouts.json?limit=250&created_at_min=${encodeURIComponent(since.toISOString())}`;
+
+  while (path) {
+    const { data, nextPath } = await shopifyRestGet(path);
+
+    for (const checkout of data.checkouts || []) {
+      for (const item of checkout.line_items || []) {
+        if (!item.variant_id) continue;
+        const id = `gid://shopify/ProductVariant/${item.variant_id}`;
+        if (!references.has(id)) references.set(id, "recent_checkout");
+      }
+    }
+
+    path = nextPath;
+  }
+}
+
+export async function loadVariantReferences({ since = null } = {}) {
+  const references = new Map();
+
+  const orderSearch = since
+    ? `status:open created_at:>='${new Date(since).toISOString()}'`
+    : "status:open";
+
+  await collectLineItemVariants("orders", orderSearch, references, "open_order");
+  await collectLineItemVariants(
+    "draftOrders",
+    "status:open OR status:invoice_sent",
+    references,
+    "draft_order"
+  );
+  await collectCheckoutVariants(references);
+
+  return references;
+}
@@ -0,0 +1,74 @@
+// shopify-custom-price/lib/units.js
+
+/* -------------------------------------------------
+   Length units in millimetres
+   (inch and foot are exact by definition: 1 in = 25.4 mm)
+-------------------------------------------------- */
+export const LENGTH_UNITS = {
+  mm: 1,
+  cm: 10,
+  m: 1000,
+  in: 25.4,
+  ft: 304.8
+};
+
+const POWER_SUFFIX = { 1: "", 2: "²", 3: "³" };
+
+export function isLengthUnit(unit) {
+  return Object.prototype.hasOwnProperty.call(LENGTH_UNITS, unit);
+}
+
+// Strip binary floating point noise (12.3 * 10 = 123.00000000000001)
+function clean(value) {
+  return Math.round(value * 1e9) / 1e9;
+}
+
+export function toMillimetres(value, unit) {
+  return clean(value * LENGTH_UNITS[unit]);
+}
+
+export function fromMillimetres(valueMm, unit) {
+  return clean(valueMm / LENGTH_UNITS[unit]);
+}
+
+// Convert a measure in mm, mm² or mm³ into unit, unit² or unit³
+export function convertMeasure(valueMm, unit, power) {
+  return valueMm / LENGTH_UNITS[unit] ** power;
+}
+
+export function unitLabel(unit, power = 1) {
+  return `${unit}${POWER_SUFFIX[power]}`;
+}
+
+/* -------------------------------------------------
+   Read dimensions from a request body
+
+   { unit: "cm", length: 120, width: 80 }  → in cm
+   { lengthMm: 1200, widthMm: 800 }         → in mm (legacy)
+
+   Legacy *Mm fields are always millimetres and are
+   converted into the requested unit.
+-------------------------------------------------- */
+export const DIMENSION_NAMES = ["length", "width", "diameter", "thickness"];
+
+export function readDimensions(body) {
+  const unit = body.unit ?? "mm";
+  const dimensions = {};
+
+  for (const name of DIMENSION_NAMES) {
+    const value = body[name];
+    const legacyValue = body[`${name}Mm`];
+
+    if (value !== undefined && value !== null && value !== "") {
+      dimensions[name] = value;
+    } else if (legacyValue !== undefined && legacyValue !== null && legacyValue !== "") {
+      // Non-numeric values are passed on for validation to report
+      const valueMm = Number(legacyValue);
+      dimensions[name] = isLengthUnit(unit) && Number.isFinite(valueMm)
+        ? fromMillimetres(valueMm, unit)
+        : legacyValue;
+    }
+  }
+
+  return { unit, dimensions };
+}
@@ -0,0 +1,260 @@
+// shopify-custom-price/lib/validation.js
+import { fromMillimetres, isLengthUnit, LENGTH_UNITS, readDimensions, toMillimetres } from "./units.js";
+
+/* -------------------------------------------------
+   Input validation for quotes and variants
+
+   Every failure carries a machine-readable code and the
+   values / limits involved, e.g.
+
+   { error: "length must be at most 3000 mm",
+     code: "DIMENSION_TOO_LARGE",
+     dimension: "length", value: 320, unit: "cm",
+     max: 300, maxMm: 3000 }
+
+   MISSING_PARAMETER        field
+   INVALID_MODE             mode, allowed
+   INVALID_UNIT             unit, allowed
+   INVALID_QUANTITY         quantity (positive whole number)
+   DIMENSION_REQUIRED       dimension
+   DIMENSION_NOT_A_NUMBER   dimension, value
+   DIMENSION_NOT_POSITIVE   dimension, value
+   DIMENSION_NOT_WHOLE_MM   dimension, value, unit, valueMm
+   DIMENSION_TOO_SMALL      dimension, value, unit, min, minMm
+   DIMENSION_TOO_LARGE      dimension, value, unit, max, maxMm
+   PIECE_EXCEEDS_STOCK      lengthMm, widthMm, stockType, stockWidthMm,
+                            stockLengthMm, rotate (lib/nesting.js)
+   INVALID_COUNTRY          country
+   INVALID_DATE             field, value
+   INVALID_DATE_RANGE       from, to
+   UNKNOWN_MARKET           market (lib/markets.js)
+
+   MAX_DIMENSION_MM caps every dimension regardless of
+   product rules (default 100000 = 100 m); none is ever
+   below MIN_DIMENSION_MM, whatever the unit.
+-------------------------------------------------- */
+const MAX_DIMENSION_MM = Number(process.env.MAX_DIMENSION_MM || 100000);
+const MIN_DIMENSION_MM = 1;
+
+// Metric input must resolve to whole millimetres; inches / feet are exempt
+const METRIC_UNITS = ["mm", "cm", "m"];
+
+// Inches / feet are rounded to this many decimals (0.0254 mm, 0.03 mm)
+const IMPERIAL_DECIMALS = { in: 3, ft: 4 };
+
+export class ValidationError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "ValidationError";
+    this.status = 400;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Response body for a ValidationError
+export function validationErrorBody(err) {
+  return { error: err.message, code: err.code, ...err.details };
+}
+
+/* -------------------------------------------------
+   Single values
+-------------------------------------------------- */
+const isBlank = value => value === undefined || value === null || value === "";
+
+function readNumber(value, dimension) {
+  if (isBlank(value)) {
+    throw new ValidationError("DIMENSION_REQUIRED", `${dimension} is required`, { dimension });
+  }
+
+  const num = typeof value === "number" || typeof value === "string" ? Number(value) : NaN;
+  if (!Number.isFinite(num)) {
+    throw new ValidationError("DIMENSION_NOT_A_NUMBER", `${dimension} must be a number`, {
+      dimension,
+      value
+    });
+  }
+  if (num <= 0) {
+    throw new ValidationError("DIMENSION_NOT_POSITIVE", `${dimension} must be greater than 0`, {
+      dimension,
+      value: num
+    });
+  }
+  return num;
+}
+
+export function validateQuantity(quantity) {
+  const num = Number(quantity);
+  if (isBlank(quantity) || !Number.isInteger(num) || num <= 0) {
+    throw new ValidationError("INVALID_QUANTITY", "quantity must be a positive whole number", {
+      quantity: quantity ?? null
+    });
+  }
+  return num;
+}
+
+// ISO 3166 country code, upper-cased; null when not given
+export function validateCountry(country) {
+  if (isBlank(country)) return null;
+
+  const code = String(country).toUpperCase();
+  if (!/^[A-Z]{2}$/.test(code)) {
+    throw new ValidationError("INVALID_COUNTRY", "Invalid country code", { country });
+  }
+  return code;
+}
+
+/* -------------------------------------------------
+   Date range of a report (audit log, cut list)
+   from / to: ISO date or date-time; a date-only `to`
+   includes that whole day (UTC).
+   Returns { from, to } as Date or null
+-------------------------------------------------- */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function readDate(value, field, endOfDay) {
+  if (isBlank(value)) return null;
+
+  const text = String(value);
+  const date = new Date(endOfDay && DATE_ONLY.test(text) ? `${text}T23:59:59.999Z` : text);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError("INVALID_DATE", `${field} must be an ISO date`, { field, value });
+  }
+  return date;
+}
+
+export function validateDateRange({ from, to } = {}) {
+  const range = { from: readDate(from, "from", false), to: readDate(to, "to", true) };
+
+  if (range.from && range.to && range.from > range.to) {
+    throw new ValidationError("INVALID_DATE_RANGE", "from must not be after to", { from, to });
+  }
+  return range;
+}
+
+/* -------------------------------------------------
+   Dimension limits
+   Narrowest of: MIN_DIMENSION_MM / MAX_DIMENSION_MM,
+   the product-wide min/max_dimension_mm rules and the
+   per-dimension rules (e.g. max_width_mm for a roll
+   width).
+-------------------------------------------------- */
+export function dimensionLimits(dimension, rules = {}) {
+  const own = rules.dimensionLimits?.[dimension] ?? {};
+
+  return {
+    minMm: Math.max(MIN_DIMENSION_MM, rules.minDimensionMm ?? 0, own.minMm ?? 0),
+    maxMm: Math.min(MAX_DIMENSION_MM, rules.maxDimensionMm ?? Infinity, own.maxMm ?? Infinity)
+  };
+}
+
+/* -------------------------------------------------
+   Validate mode, unit, dimensions and quantity
+   names: dimensions the mode needs
+   rules: product rules (omit for request-level checks)
+   Returns { unit, dimensions, dimensionsMm, quantity }
+-------------------------------------------------- */
+export function validateDimensions({ names, unit, dimensions = {}, quantity }, rules) {
+  if (!isLengthUnit(unit)) {
+    throw new ValidationError("INVALID_UNIT", "Invalid unit", {
+      unit: unit ?? null,
+      allowed: Object.keys(LENGTH_UNITS)
+    });
+  }
+
+  const values = {};
+  const valuesMm = {};
+
+  for (const dimension of names) {
+    const input = readNumber(dimensions[dimension], dimension);
+    const value = Object.hasOwn(IMPERIAL_DECIMALS, unit)
+      ? Number(input.toFixed(IMPERIAL_DECIMALS[unit]))
+      : input;
+    const valueMm = toMillimetres(value, unit);
+
+    if (METRIC_UNITS.includes(unit) && !Number.isInteger(valueMm)) {
+      throw new ValidationError(
+        "DIMENSION_NOT_WHOLE_MM",
+        `${dimension} must be a whole number of millimetres`,
+        { dimension, value, unit, valueMm }
+      );
+    }
+
+    const { minMm, maxMm } = dimensionLimits(dimension, rules);
+    if (valueMm < minMm) {
+      throw new ValidationError("DIMENSION_TOO_SMALL", `${dimension} must be at least ${minMm} mm`, {
+        dimension,
+        value,
+        unit,
+        min: fromMillimetres(minMm, unit),
+        minMm
+      });
+    }
+    if (valueMm > maxMm) {
+      throw new ValidationError("DIMENSION_TOO_LARGE", `${dimension} must be at most ${maxMm} mm`, {
+        dimension,
+        value,
+        unit,
+        max: fromMillimetres(maxMm, unit),
+        maxMm
+      });
+    }
+
+    values[dimension] = value;
+    valuesMm[dimension] = valueMm;
+  }
+
+  return {
+    unit,
+    dimensions: values,
+    dimensionsMm: valuesMm,
+    quantity: validateQuantity(quantity)
+  };
+}
+
+/* -------------------------------------------------
+   Request body of calculate-price / create-variant
+   Checks everything that does not depend on the
+   product, before any Admin API call.
+   modes: PRICING_MODES; quantity defaults to 1 unless
+   requireQuantity is set
+   Returns { productId, selectedVariantId, mode, locale,
+   unit, dimensions, quantity }
+-------------------------------------------------- */
+export function validateQuoteRequest(body, modes, { requireQuantity = false } = {}) {
+  const { productId, selectedVariantId, mode, locale, quantity = 1 } = body || {};
+
+  if (isBlank(productId)) {
+    throw new ValidationError("MISSING_PARAMETER", "productId is required", { field: "productId" });
+  }
+  if (isBlank(mode)) {
+    throw new ValidationError("MISSING_PARAMETER", "mode is required", { field: "mode" });
+  }
+  if (requireQuantity && isBlank(body.quantity)) {
+    throw new ValidationError("MISSING_PARAMETER", "quantity is required", { field: "quantity" });
+  }
+  if (!Object.hasOwn(modes, mode)) {
+    throw new ValidationError("INVALID_MODE", "Invalid mode", {
+      mode,
+      allowed: Object.keys(modes)
+    });
+  }
+
+  const { unit, dimensions } = readDimensions(body);
+  const valid = validateDimensions({
+    names: modes[mode].dimensions,
+    unit,
+    dimensions,
+    quantity
+  });
+
+  return {
+    productId,
+    selectedVariantId,
+    mode,
+    locale,
+    unit,
+    dimensions: valid.dimensions,
+    quantity: valid.quantity
+  };
+}
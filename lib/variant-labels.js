@@ -0,0 +1,86 @@
+// shopify-custom-price/lib/variant-labels.js
+import { LENGTH_UNITS } from "./units.js";
+import { allLabelWords, allPiecesWords, allTierWords, getVocabulary } from "./vocabulary.js";
+
+/* -------------------------------------------------
+   Variant option labels per pricing mode (de)
+
+   length     Länge | 1200 mm
+   width      Breite | 800 mm
+   area       Länge | 1200 mm X Breite | 800 mm
+   perimeter  Umfang | 1200 mm X 800 mm
+   circle     Durchmesser | 300 mm
+   volume     Länge | 1200 mm X Breite | 800 mm X Stärke | 40 mm
+
+   Words come from the locale's vocabulary; values are
+   written in the unit the customer entered
+   (e.g. Length | 120 cm).
+
+   A volume tier price gets its own variant, marked
+   with the tier level (Länge | 1200 mm X Staffel | 2),
+   so tiered and untiered carts never share a price.
+   Likewise a price billed by the stock layout depends
+   on the number of pieces (… X Stück | 3 X Staffel | 2).
+-------------------------------------------------- */
+export function formatVariantLabel(quote, locale) {
+  const { labels } = getVocabulary(locale);
+  let label = formatDimensionLabel(quote, labels);
+
+  if (quote.layout?.pricing === "consumed") {
+    label += ` X ${labels.pieces} | ${quote.quantity}`;
+  }
+  return quote.tier ? `${label} X ${labels.tier} | ${quote.tier.level}` : label;
+}
+
+// Plain decimal, never exponent notation (1e-7), so cleanup recognises the label
+const formatValue = value =>
+  Number(value).toLocaleString("en-US", { useGrouping: false, maximumFractionDigits: 6 });
+
+function formatDimensionLabel(quote, labels) {
+  const { unit } = quote;
+  const d = Object.fromEntries(
+    Object.entries(quote.dimensions).map(([name, value]) => [name, formatValue(value)])
+  );
+  const segment = name => `${labels[name]} | ${d[name]} ${unit}`;
+
+  switch (quote.mode) {
+    case "length":
+      return segment("length");
+    case "width":
+      return segment("width");
+    case "area":
+      return `${segment("length")} X ${segment("width")}`;
+    case "perimeter":
+      return `${labels.perimeter} | ${d.length} ${unit} X ${d.width} ${unit}`;
+    case "circle":
+      return segment("diameter");
+    case "volume":
+      return `${segment("length")} X ${segment("width")} X ${segment("thickness")}`;
+    default:
+      throw new Error(`No variant label for mode ${quote.mode}`);
+  }
+}
+
+/* -------------------------------------------------
+   Temporary variant detection (cleanup)
+   Matches labels of every locale in the vocabulary.
+-------------------------------------------------- */
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const labelPattern = allLabelWords().map(escapeRegex).join("|");
+const unitPattern = Object.keys(LENGTH_UNITS).join("|");
+const tierPattern = allTierWords().map(escapeRegex).join("|");
+const piecesPattern = allPiecesWords().map(escapeRegex).join("|");
+const valuePattern = `\\d+(?:\\.\\d+)?\\s*(?:${unitPattern})`;
+
+export const tempTitleRegex = new RegExp(
+  `^(?:${labelPattern})\\s*\\|\\s*${valuePattern}` +
+    `(?:\\s*X\\s*(?:(?:${labelPattern})\\s*\\|\\s*)?${valuePattern})*` +
+    `(?:\\s*X\\s*(?:${piecesPattern})\\s*\\|\\s*\\d+)?` +
+    `(?:\\s*X\\s*(?:${tierPattern})\\s*\\|\\s*\\d+)?$`,
+  "i"
+);
+
+export function isTemporaryVariant(title) {
+  return tempTitleRegex.test(title);
+}
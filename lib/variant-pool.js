@@ -0,0 +1,48 @@
+// shopify-custom-price/lib/variant-pool.js
+import {
+  isOlderThanBuffer,
+  lastTouchedAt,
+  loadVariantReferences
+} from "./temp-variants.js";
+import { isTemporaryVariant } from "./variant-labels.js";
+
+/* -------------------------------------------------
+   Variant slot pool
+
+   VARIANT_POOL_ENABLED=true   reuse temporary variants
+   SHOPIFY_VARIANT_LIMIT       variants a product may have (default 100)
+   VARIANT_POOL_HEADROOM       start pooling this many slots
+                               before the limit (default 5)
+
+   Near the limit, the least recently used temporary
+   variant that is past the buffer window and not in an
+   open order, draft order or recent checkout is
+   re-labelled and re-priced instead of a new variant
+   being created.
+-------------------------------------------------- */
+const POOL_ENABLED = process.env.VARIANT_POOL_ENABLED === "true";
+const VARIANT_LIMIT = Number(process.env.SHOPIFY_VARIANT_LIMIT || 100);
+const HEADROOM = Number(process.env.VARIANT_POOL_HEADROOM ?? 5);
+
+export function shouldUsePool(variantCount) {
+  return POOL_ENABLED && variantCount >= VARIANT_LIMIT - HEADROOM;
+}
+
+/* -------------------------------------------------
+   Pick a reusable variant
+   (GraphQL variant nodes: id, title, createdAt, updatedAt)
+   Returns the variant or null
+-------------------------------------------------- */
+export async function pickPoolVariant(variants) {
+  const candidates = variants
+    .filter(v => isTemporaryVariant(v.title))
+    .filter(v => isOlderThanBuffer(v))
+    .sort((a, b) => lastTouchedAt(a) - lastTouchedAt(b));
+
+  if (candidates.length === 0) return null;
+
+  const oldest = Math.min(...candidates.map(v => new Date(v.createdAt).getTime()));
+  const references = await loadVariantReferences({ since: oldest });
+
+  return candidates.find(v => !references.has(v.id)) ?? null;
+}
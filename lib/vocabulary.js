@@ -0,0 +1,136 @@
+// shopify-custom-price/lib/vocabulary.js
+
+/* -------------------------------------------------
+   Label / property vocabulary per locale
+
+   labels:     words used in variant option labels
+   properties: line item properties the storefront
+               sets for custom dimensions
+
+   Everything that recognises our variants or line
+   items (cleanup, order webhook) is built from this
+   table, so a new locale only has to be added here.
+-------------------------------------------------- */
+export const VOCABULARY = {
+  de: {
+    labels: {
+      length: "Länge",
+      width: "Breite",
+      diameter: "Durchmesser",
+      thickness: "Stärke",
+      perimeter: "Umfang",
+      tier: "Staffel",
+      pieces: "Stück"
+    },
+    properties: {
+      length: "_Individuelle_Länge",
+      width: "_Individuelle_Breite",
+      diameter: "_Individuelle_Durchmesser",
+      thickness: "_Individuelle_Stärke"
+    }
+  },
+  en: {
+    labels: {
+      length: "Length",
+      width: "Width",
+      diameter: "Diameter",
+      thickness: "Thickness",
+      perimeter: "Perimeter",
+      tier: "Tier",
+      pieces: "Pieces"
+    },
+    properties: {
+      length: "_Custom_Length",
+      width: "_Custom_Width",
+      diameter: "_Custom_Diameter",
+      thickness: "_Custom_Thickness"
+    }
+  },
+  fr: {
+    labels: {
+      length: "Longueur",
+      width: "Largeur",
+      diameter: "Diamètre",
+      thickness: "Épaisseur",
+      perimeter: "Périmètre",
+      tier: "Palier",
+      pieces: "Pièces"
+    },
+    properties: {
+      length: "_Longueur_Personnalisée",
+      width: "_Largeur_Personnalisée",
+      diameter: "_Diamètre_Personnalisé",
+      thickness: "_Épaisseur_Personnalisée"
+    }
+  },
+  it: {
+    labels: {
+      length: "Lunghezza",
+      width: "Larghezza",
+      diameter: "Diametro",
+      thickness: "Spessore",
+      perimeter: "Perimetro",
+      tier: "Fascia",
+      pieces: "Pezzi"
+    },
+    properties: {
+      length: "_Lunghezza_Personalizzata",
+      width: "_Larghezza_Personalizzata",
+      diameter: "_Diametro_Personalizzato",
+      thickness: "_Spessore_Personalizzato"
+    }
+  }
+};
+
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || "de";
+
+/* -------------------------------------------------
+   Locale resolution: request → shop default → de
+   ("de-CH" and "de_CH" resolve to "de")
+-------------------------------------------------- */
+export function resolveLocale(requested) {
+  for (const candidate of [requested, DEFAULT_LOCALE]) {
+    if (!candidate) continue;
+    const language = candidate.toString().toLowerCase().split(/[-_]/)[0];
+    if (VOCABULARY[language]) return language;
+  }
+  return "de";
+}
+
+export function getVocabulary(locale) {
+  return VOCABULARY[resolveLocale(locale)];
+}
+
+/* -------------------------------------------------
+   All known words, across every locale
+-------------------------------------------------- */
+export function allLabelWords() {
+  return Object.values(VOCABULARY).flatMap(v =>
+    Object.entries(v.labels)
+      .filter(([key]) => key !== "tier" && key !== "pieces")
+      .map(([, word]) => word)
+  );
+}
+
+export function allTierWords() {
+  return Object.values(VOCABULARY).map(v => v.labels.tier);
+}
+
+export function allPiecesWords() {
+  return Object.values(VOCABULARY).map(v => v.labels.pieces);
+}
+
+const dimensionProperties = new Map(
+  Object.values(VOCABULARY).flatMap(v =>
+    Object.entries(v.properties).map(([dimension, name]) => [name, dimension])
+  )
+);
+
+// "_Individuelle_Länge" → "length", unknown → null
+export function dimensionForProperty(name) {
+  return dimensionProperties.get(name) ?? null;
+}
+
+export function isDimensionProperty(name) {
+  return dimensionProperties.has(name);
+}
@@ -0,0 +1,192 @@
+// shopify-custom-price/lib/webhook-subscriptions.js
+import { shopifyFetch } from "./shopify.js";
+import declaredWebhooks from "../config/webhooks.js";
+
+/* -------------------------------------------------
+   App base URL
+   APP_BASE_URL=https://shopify-custom-price.vercel.app
+   With WEBHOOKS_USE_VERCEL_URL=true, falls back to the
+   deployment URL Vercel provides (VERCEL_URL), so a
+   preview deployment registers itself. Off by default:
+   it would move the store's webhooks to the preview.
+-------------------------------------------------- */
+export function getAppBaseUrl() {
+  if (process.env.APP_BASE_URL) {
+    return process.env.APP_BASE_URL.replace(/\/+$/, "");
+  }
+  if (process.env.VERCEL_URL && process.env.WEBHOOKS_USE_VERCEL_URL === "true") {
+    return `https://${process.env.VERCEL_URL}`;
+  }
+  throw new Error("APP_BASE_URL is not configured");
+}
+
+export function declaredSubscriptions(baseUrl = getAppBaseUrl()) {
+  return declaredWebhooks.map(({ topic, path }) => ({
+    topic,
+    callbackUrl: `${baseUrl}${path}`
+  }));
+}
+
+/* -------------------------------------------------
+   Current subscriptions (HTTP endpoints only;
+   EventBridge / Pub/Sub subscriptions are left alone)
+-------------------------------------------------- */
+export async function listSubscriptions() {
+  const subscriptions = [];
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const data = await shopifyFetch(
+      `
+      query ($cursor: String) {
+        webhookSubscriptions(first: 100, after: $cursor) {
+          edges {
+            cursor
+            node {
+              id
+              topic
+              endpoint {
+                __typename
+                ... on WebhookHttpEndpoint { callbackUrl }
+              }
+            }
+          }
+          pageInfo { hasNextPage }
+        }
+      }
+      `,
+      { cursor }
+    );
+
+    const { edges, pageInfo } = data.webhookSubscriptions;
+    for (const { node } of edges) {
+      if (node.endpoint.__typename !== "WebhookHttpEndpoint") continue;
+      subscriptions.push({
+        id: node.id,
+        topic: node.topic,
+        callbackUrl: node.endpoint.callbackUrl
+      });
+    }
+
+    hasNextPage = pageInfo.hasNextPage;
+    cursor = edges.at(-1)?.cursor || null;
+  }
+
+  return subscriptions;
+}
+
+/* -------------------------------------------------
+   Reconcile plan
+   Per declared topic: keep a subscription with the
+   right URL, otherwise repoint one or create one.
+   Duplicates and undeclared topics are removed.
+   Returns { create, update, delete, unchanged }
+-------------------------------------------------- */
+export function planSubscriptions(current, declared) {
+  const plan = { create: [], update: [], delete: [], unchanged: [] };
+  const declaredTopics = new Set(declared.map(d => d.topic));
+
+  for (const { topic, callbackUrl } of declared) {
+    const existing = current.filter(s => s.topic === topic);
+    const keep = existing.find(s => s.callbackUrl === callbackUrl) || existing[0];
+
+    if (!keep) {
+      plan.create.push({ topic, callbackUrl });
+    } else if (keep.callbackUrl === callbackUrl) {
+      plan.unchanged.push(keep);
+    } else {
+      plan.update.push({ id: keep.id, topic, from: keep.callbackUrl, callbackUrl });
+    }
+
+    for (const s of existing) {
+      if (s !== keep) plan.delete.push({ ...s, reason: "duplicate" });
+    }
+  }
+
+  for (const s of current) {
+    if (!declaredTopics.has(s.topic)) {
+      plan.delete.push({ ...s, reason: "undeclared" });
+    }
+  }
+
+  return plan;
+}
+
+/* -------------------------------------------------
+   Apply a plan
+   Each change gets { ok, error? }; one failed change
+   does not stop the others.
+-------------------------------------------------- */
+async function runMutation(query, variables, field) {
+  try {
+    const data = await shopifyFetch(query, variables);
+    const errors = data[field].userErrors;
+    if (errors.length > 0) {
+      return { ok: false, error: errors.map(e => e.message).join(", ") };
+    }
+    return { ok: true, id: data[field].webhookSubscription?.id };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  }
+}
+
+export async function applySubscriptionPlan(plan) {
+  const result = { create: [], update: [], delete: [], unchanged: plan.unchanged };
+
+  for (const change of plan.create) {
+    const outcome = await runMutation(
+      `
+      mutation ($topic: WebhookSubscriptionTopic!, $callbackUrl: URL!) {
+        webhookSubscriptionCreate(
+          topic: $topic
+          webhookSubscription: { callbackUrl: $callbackUrl, format: JSON }
+        ) {
+          webhookSubscription { id }
+          userErrors { message }
+        }
+      }
+      `,
+      change,
+      "webhookSubscriptionCreate"
+    );
+    result.create.push({ ...change, ...outcome });
+  }
+
+  for (const change of plan.update) {
+    const outcome = await runMutation(
+      `
+      mutation ($id: ID!, $callbackUrl: URL!) {
+        webhookSubscriptionUpdate(
+          id: $id
+          webhookSubscription: { callbackUrl: $callbackUrl }
+        ) {
+          webhookSubscription { id }
+          userErrors { message }
+        }
+      }
+      `,
+      { id: change.id, callbackUrl: change.callbackUrl },
+      "webhookSubscriptionUpdate"
+    );
+    result.update.push({ ...outcome, ...change });
+  }
+
+  for (const change of plan.delete) {
+    const outcome = await runMutation(
+      `
+      mutation ($id: ID!) {
+        webhookSubscriptionDelete(id: $id) {
+          deletedWebhookSubscriptionId
+          userErrors { message }
+        }
+      }
+      `,
+      { id: change.id },
+      "webhookSubscriptionDelete"
+    );
+    result.delete.push({ ...outcome, ...change });
+  }
+
+  return result;
+}
@@ -0,0 +1,64 @@
+// shopify-custom-price/lib/webhooks.js
+import crypto from "crypto";
+import { OrderLockedError } from "./order-processing.js";
+
+const WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+/* -------------------------------------------------
+   Verify Shopify webhook HMAC
+-------------------------------------------------- */
+export function verifyWebhook(rawBody, shopifyHmac) {
+  const digest = crypto
+    .createHmac("sha256", WEBHOOK_SECRET)
+    .update(rawBody, "utf8")
+    .digest("base64");
+
+  return digest === shopifyHmac;
+}
+
+/* -------------------------------------------------
+   Read the raw request body
+   (webhook handlers disable the body parser)
+-------------------------------------------------- */
+export function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    let rawBody = "";
+    req.on("data", chunk => {
+      rawBody += chunk;
+    });
+    req.on("end", () => resolve(rawBody));
+    req.on("error", reject);
+  });
+}
+
+/* -------------------------------------------------
+   Verified webhook handler
+   Reads the raw body, checks the HMAC, parses JSON and
+   passes the payload on. Failures answer 401 / 409 / 500
+   so Shopify retries the delivery.
+-------------------------------------------------- */
+export function webhookHandler(name, handlePayload) {
+  return async function handler(req, res) {
+    try {
+      const rawBody = await readRawBody(req);
+
+      const shopifyHmac = req.headers["x-shopify-hmac-sha256"];
+      if (!verifyWebhook(rawBody, shopifyHmac)) {
+        console.error(`✖ ${name} webhook HMAC verification failed`);
+        return res.status(401).send("Unauthorized");
+      }
+
+      await handlePayload(JSON.parse(rawBody), req);
+      res.status(200).send("OK");
+    } catch (err) {
+      // Another delivery holds the order: let Shopify retry later
+      if (err instanceof OrderLockedError) {
+        console.warn(`⚠ ${name} webhook:`, err.message);
+        return res.status(409).send("Conflict");
+      }
+
+      console.error(`🔥 ${name} webhook failure:`, err);
+      res.status(500).send("Internal Server Error");
+    }
+  };
+}
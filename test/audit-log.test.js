@@ -0,0 +1,102 @@
+import "./support/env.js";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { beforeEach, describe, it } from "node:test";
+import handler from "../api/audit-log.js";
+import calculatePrice from "../api/calculate-price.js";
+import createVariant from "../api/create-variant.js";
+import { FileAuditLog } from "../lib/audit.js";
+import { invoke, useFakeShop } from "./support/http.js";
+
+describe("audit-log", () => {
+  let shop;
+  let product;
+
+  beforeEach(() => {
+    shop = useFakeShop();
+    shop.addLocation();
+    product = shop.addProduct({ price: "10.00", metafields: { cutting_fee: "2" } });
+  });
+
+  const search = (query, token = "test-admin-secret") =>
+    invoke(handler, {
+      method: "GET",
+      query,
+      headers: token ? { authorization: `Bearer ${token}` } : {}
+    });
+
+  it("records created variants with inputs, base price and result", async () => {
+    const created = await invoke(createVariant, {
+      body: { productId: product.id, mode: "length", length: 1200 }
+    });
+
+    const res = await search({ variantId: String(created.body.variantId) });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.count, 1);
+
+    const [entry] = res.body.entries;
+    assert.equal(entry.event, "variant");
+    assert.equal(entry.action, "created");
+    assert.equal(entry.source, "create-variant");
+    assert.equal(entry.baseVariantId, shop.variantsOf(product.id)[0].id.split("/").pop());
+    assert.equal(entry.basePrice, 10);
+    assert.deepEqual(entry.input, {
+      mode: "length",
+      unit: "mm",
+      dimensions: { length: 1200 },
+      quantity: 1
+    });
+    assert.deepEqual(entry.rules, { cuttingFee: 2 });
+    assert.deepEqual(entry.appliedRules, [{ rule: "cutting_fee", value: 2 }]);
+    assert.equal(entry.result.unitPrice, 14);
+    assert.ok(entry.at);
+  });
+
+  it("finds quotes by product and date range", async () => {
+    await invoke(calculatePrice, {
+      body: { productId: product.id, mode: "length", length: 1000, quantity: 2 }
+    });
+
+    const today = new Date().toISOString().slice(0, 10);
+    const found = await search({ productId: product.id, from: today, to: today });
+    assert.equal(found.body.count, 1);
+    assert.equal(found.body.entries[0].event, "quote");
+    assert.equal(found.body.entries[0].result.totalPrice, 24);
+
+    const earlier = await search({ productId: product.id, to: "2020-01-01" });
+    assert.equal(earlier.body.count, 0);
+  });
+
+  it("rejects invalid dates", async () => {
+    const res = await search({ from: "yesterday" });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, "INVALID_DATE");
+  });
+
+  it("requires the admin secret", async () => {
+    assert.equal((await search({}, null)).statusCode, 401);
+    assert.equal((await search({}, "wrong")).statusCode, 401);
+  });
+
+  it("keeps entries in a JSON lines file", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "audit-"));
+    try {
+      const log = new FileAuditLog(join(dir, "audit.jsonl"));
+      assert.deepEqual(await log.search({}), []);
+
+      await log.append([
+        { at: "2026-01-01T10:00:00.000Z", productId: "1", variantId: "11" },
+        { at: "2026-01-02T10:00:00.000Z", productId: "1", variantId: "12" }
+      ]);
+
+      const entries = await log.search({ productId: "gid://shopify/Product/1" });
+      assert.deepEqual(entries.map(e => e.variantId), ["12", "11"]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,300 @@
+import "./support/env.js";
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import handler from "../api/calculate-price.js";
+import { invoke, useFakeShop } from "./support/http.js";
+
+describe("calculate-price", () => {
+  let shop;
+
+  beforeEach(() => {
+    shop = useFakeShop();
+  });
+
+  const quote = body => invoke(handler, { body: { mode: "length", quantity: 1, ...body } });
+
+  it("prices a length cut from the base variant price per metre", async () => {
+    const product = shop.addProduct({ title: "Rod", price: "12.50" });
+
+    const res = await quote({ productId: product.id, length: 1200 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.product, "Rod");
+    assert.equal(res.body.pricePerUnit, 12.5);
+    assert.equal(res.body.unitPrice, 15);
+    assert.equal(res.body.totalPrice, 15);
+  });
+
+  it("uses the selected variant's price", async () => {
+    const product = shop.addProduct({
+      variants: [
+        { title: "Oak", price: "10.00" },
+        { title: "Walnut", price: "30.00" }
+      ]
+    });
+    const [, walnut] = shop.variantsOf(product.id);
+
+    const res = await quote({ productId: product.id, selectedVariantId: walnut.id, length: 1000 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.unitPrice, 30);
+  });
+
+  it("applies pricing rules from product metafields", async () => {
+    const product = shop.addProduct({
+      price: "10.00",
+      metafields: { min_billable_length_mm: "500", cutting_fee: "2" }
+    });
+
+    const res = await quote({ productId: product.id, length: 100, quantity: 3 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.unitPrice, 7);
+    assert.equal(res.body.totalPrice, 21);
+  });
+
+  it("accepts dimensions in other units", async () => {
+    const product = shop.addProduct({ price: "10.00" });
+
+    const res = await quote({ productId: product.id, unit: "cm", length: 150 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.lengthMm, 1500);
+    assert.equal(res.body.unitPrice, 15);
+  });
+
+  it("answers 404 for an unknown product", async () => {
+    const res = await quote({ productId: "gid://shopify/Product/1", length: 1000 });
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.error, "Product not found");
+  });
+
+  it("answers 400 for missing parameters", async () => {
+    const res = await invoke(handler, { body: { mode: "length" } });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, "MISSING_PARAMETER");
+    assert.equal(res.body.field, "productId");
+  });
+
+  it("reports non-numeric dimensions with a code", async () => {
+    const product = shop.addProduct();
+
+    const res = await quote({ productId: product.id, lengthMm: "abc" });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, "DIMENSION_NOT_A_NUMBER");
+    assert.equal(res.body.dimension, "length");
+  });
+
+  it("rejects fractional millimetres", async () => {
+    const product = shop.addProduct();
+
+    const res = await quote({ productId: product.id, unit: "cm", length: 12.35 });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, "DIMENSION_NOT_WHOLE_MM");
+  });
+
+  it("reports product limits in the requested unit", async () => {
+    const product = shop.addProduct({
+      metafields: { max_dimension_mm: "3000", max_width_mm: "1250" }
+    });
+
+    const tooLong = await quote({ productId: product.id, unit: "cm", length: 320 });
+    const { error, ...details } = tooLong.body;
+    assert.equal(tooLong.statusCode, 400);
+    assert.equal(error, "length must be at most 3000 mm");
+    assert.deepEqual(
+      details,
+      {
+        code: "DIMENSION_TOO_LARGE",
+        dimension: "length",
+        value: 320,
+        unit: "cm",
+        max: 300,
+        maxMm: 3000
+      }
+    );
+
+    const tooWide = await quote({ productId: product.id, mode: "area", length: 2000, width: 1300 });
+    assert.equal(tooWide.body.code, "DIMENSION_TOO_LARGE");
+    assert.equal(tooWide.body.maxMm, 1250);
+  });
+
+  it("rejects other methods", async () => {
+    const res = await invoke(handler, { method: "GET" });
+
+    assert.equal(res.statusCode, 405);
+  });
+
+  it("serves repeated quotes from the price cache", async () => {
+    const product = shop.addProduct({ price: "10.00" });
+
+    await quote({ productId: product.id, length: 1000 });
+    const callsAfterFirst = shop.calls.length;
+    await quote({ productId: product.id, length: 1100 });
+
+    assert.equal(shop.calls.length, callsAfterFirst);
+  });
+
+  it("quotes in the market's currency with its rounding rules", async () => {
+    shop.addMarket({ handle: "switzerland", countries: ["CH"], currency: "CHF", rate: 0.93 });
+    const product = shop.addProduct({ price: "10.00" });
+
+    const res = await quote({ productId: product.id, length: 1234, quantity: 3, country: "CH" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.unitPrice, 12.34);
+    const { tax, ...presentment } = res.body.presentment;
+    assert.deepEqual(presentment, {
+      country: "CH",
+      market: "switzerland",
+      currencyCode: "CHF",
+      pricePerUnit: 9.3,
+      undiscountedUnitPrice: 11.5,
+      undiscountedTotalPrice: 34.5,
+      unitPrice: 11.5,
+      totalPrice: 34.5
+    });
+    assert.equal(tax.country, "CH");
+    assert.deepEqual(tax.total, { net: 31.91, tax: 2.59, gross: 34.5 });
+  });
+
+  it("resolves a market by handle and rounds zero-decimal currencies", async () => {
+    shop.addMarket({ handle: "japan", countries: ["JP"], currency: "JPY", rate: 160 });
+    const product = shop.addProduct({ price: "10.00" });
+
+    const res = await quote({ productId: product.id, length: 1234, market: "japan" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.presentment.country, "JP");
+    assert.equal(res.body.presentment.unitPrice, 1974);
+  });
+
+  it("omits presentment prices without a country or market", async () => {
+    const product = shop.addProduct({ price: "10.00" });
+
+    const res = await quote({ productId: product.id, length: 1000 });
+
+    assert.equal(res.body.presentment, undefined);
+  });
+
+  it("rejects invalid countries and unknown markets", async () => {
+    const product = shop.addProduct({ price: "10.00" });
+
+    const badCountry = await quote({ productId: product.id, length: 1000, country: "Swiss" });
+    assert.equal(badCountry.statusCode, 400);
+    assert.equal(badCountry.body.code, "INVALID_COUNTRY");
+
+    const badMarket = await quote({ productId: product.id, length: 1000, market: "mars" });
+    assert.equal(badMarket.statusCode, 400);
+    assert.equal(badMarket.body.code, "UNKNOWN_MARKET");
+  });
+
+  it("breaks prices into net, tax and gross with the shop's tax setting", async () => {
+    const product = shop.addProduct({ price: "10.00" });
+
+    const res = await quote({ productId: product.id, length: 1190, quantity: 2 });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.tax, {
+      country: "DE",
+      rate: 0.19,
+      taxesIncluded: true,
+      display: "gross",
+      unit: { net: 10, tax: 1.9, gross: 11.9 },
+      total: { net: 20, tax: 3.8, gross: 23.8 }
+    });
+  });
+
+  it("adds tax on top of net shop prices and marks B2B quotes as net", async () => {
+    shop.shop.taxesIncluded = false;
+    const product = shop.addProduct({ price: "10.00" });
+
+    const res = await quote({ productId: product.id, length: 1190, country: "at", b2b: true });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.tax.country, "AT");
+    assert.equal(res.body.tax.display, "net");
+    assert.deepEqual(res.body.tax.unit, { net: 11.9, tax: 2.38, gross: 14.28 });
+  });
+
+  it("quotes UK customers with UK VAT", async () => {
+    const product = shop.addProduct({ price: "10.00" });
+
+    const res = await quote({ productId: product.id, length: 1200, country: "GB" });
+
+    assert.equal(res.body.tax.rate, 0.2);
+    assert.deepEqual(res.body.tax.unit, { net: 10, tax: 2, gross: 12 });
+  });
+
+  const piece = { mode: "area", length: 1000, width: 600 };
+
+  it("prices area cuts by the roll material their layout consumes", async () => {
+    const product = shop.addProduct({
+      price: "10.00",
+      metafields: { stock_format: JSON.stringify({ type: "roll", widthMm: 1250 }) }
+    });
+
+    const res = await quote({ productId: product.id, ...piece, quantity: 3 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.unitPrice, 7.5);
+    assert.equal(res.body.totalPrice, 22.5);
+    assert.deepEqual(res.body.layout, {
+      type: "roll",
+      pricing: "consumed",
+      stockWidthMm: 1250,
+      stockLengthMm: null,
+      pieces: 3,
+      rotatedPieces: 3,
+      rows: 3,
+      consumedLengthMm: 1800,
+      netAreaSqm: 1.8,
+      consumedAreaSqm: 2.25,
+      wastePercent: 20,
+      materialFactor: 1.25
+    });
+  });
+
+  it("only reports the layout when the stock format bills net area", async () => {
+    const product = shop.addProduct({
+      price: "10.00",
+      metafields: {
+        stock_format: JSON.stringify({
+          type: "sheet",
+          lengthMm: 2000,
+          widthMm: 1000,
+          pricing: "net"
+        })
+      }
+    });
+
+    const res = await quote({ productId: product.id, ...piece, quantity: 4 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.unitPrice, 6);
+    assert.equal(res.body.layout.sheets, 2);
+  });
+
+  it("rejects pieces that do not fit the stock format", async () => {
+    const product = shop.addProduct({
+      metafields: {
+        stock_format: JSON.stringify({
+          type: "sheet",
+          lengthMm: 2000,
+          widthMm: 1000,
+          rotate: false
+        })
+      }
+    });
+
+    const res = await quote({ productId: product.id, mode: "area", length: 900, width: 1200 });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, "PIECE_EXCEEDS_STOCK");
+    assert.equal(res.body.stockWidthMm, 1000);
+  });
+});
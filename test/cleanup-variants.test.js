@@ -0,0 +1,135 @@
+import "./support/env.js";
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import handler from "../api/cleanup-variants.js";
+import { invoke, useFakeShop } from "./support/http.js";
+
+// TEMP_VARIANT_MAX_COUNT=2, TEMP_VARIANT_BUFFER_MINUTES=120 (support/env.js)
+const hoursAgo = hours => new Date(Date.now() - hours * 3600 * 1000).toISOString();
+
+describe("cleanup-variants", () => {
+  let shop;
+  let product;
+
+  beforeEach(() => {
+    shop = useFakeShop();
+    product = shop.addProduct({
+      optionName: "Dimensions",
+      variants: [
+        { title: "Default Title" },
+        { title: "Länge | 1000 mm", createdAt: hoursAgo(10) },
+        { title: "Länge | 1100 mm", createdAt: hoursAgo(8) },
+        { title: "Länge | 1200 mm", createdAt: hoursAgo(6) },
+        { title: "Länge | 1300 mm", createdAt: hoursAgo(4) },
+        { title: "Länge | 1400 mm", createdAt: hoursAgo(0.5) }
+      ]
+    });
+  });
+
+  const titles = () => shop.variantsOf(product.id).map(v => v.title);
+
+  it("deletes the oldest temporary variants above the limit", async () => {
+    const res = await invoke(handler, { method: "GET" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.deletedCount, 3);
+    assert.deepEqual(titles(), ["Default Title", "Länge | 1300 mm", "Länge | 1400 mm"]);
+  });
+
+  it("keeps variants inside the buffer window", async () => {
+    const res = await invoke(handler, { method: "GET" });
+
+    const [report] = res.body.products;
+    assert.deepEqual(report.keptByBuffer.map(v => v.title), ["Länge | 1400 mm"]);
+  });
+
+  it("only reports on a dry run", async () => {
+    const res = await invoke(handler, { method: "GET", query: { dryRun: "true" } });
+
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.toDeleteCount, 3);
+    assert.equal(res.body.deletedCount, 0);
+    assert.equal(titles().length, 6);
+  });
+
+  it("never deletes variants in open orders", async () => {
+    const [, oldest] = shop.variantsOf(product.id);
+    shop.addOrder({ lineItems: [{ variantId: oldest.id, quantity: 1 }] });
+
+    const res = await invoke(handler, { method: "GET" });
+
+    const [report] = res.body.products;
+    assert.deepEqual(report.skippedReferenced, [
+      { id: oldest.id, title: oldest.title, reason: "open_order" }
+    ]);
+    assert.ok(titles().includes(oldest.title));
+  });
+
+  it("finds references beyond the first page of line items", async () => {
+    const [standard, oldest, second] = shop.variantsOf(product.id);
+    const filler = Array.from({ length: 25 }, () => ({ variantId: standard.id, quantity: 1 }));
+    shop.addOrder({ lineItems: [...filler, { variantId: oldest.id, quantity: 1 }] });
+    shop.addDraftOrder([...filler.map(item => item.variantId), second.id]);
+
+    const res = await invoke(handler, { method: "GET", query: { dryRun: "true" } });
+
+    const [report] = res.body.products;
+    assert.deepEqual(
+      report.skippedReferenced.map(v => [v.title, v.reason]),
+      [
+        ["Länge | 1000 mm", "open_order"],
+        ["Länge | 1100 mm", "draft_order"]
+      ]
+    );
+  });
+
+  it("only reads orders created after the oldest candidate", async () => {
+    const [standard] = shop.variantsOf(product.id);
+    for (let i = 0; i < 25; i++) {
+      shop.addOrder({
+        createdAt: hoursAgo(48),
+        lineItems: [{ variantId: standard.id, quantity: 1 }]
+      });
+    }
+
+    const res = await invoke(handler, { method: "GET", query: { dryRun: "true" } });
+
+    assert.equal(res.body.toDeleteCount, 3);
+    assert.equal(shop.calls.filter(call => call === "orders").length, 1);
+  });
+
+  it("pages through products and their variants", async () => {
+    for (let i = 0; i < 5; i++) shop.addProduct();
+    const large = shop.addProduct({
+      variants: Array.from({ length: 105 }, (_, i) => ({
+        title: `Länge | ${1000 + i} mm`,
+        createdAt: hoursAgo(10)
+      }))
+    });
+
+    const res = await invoke(handler, { method: "GET", query: { dryRun: "true" } });
+
+    const report = res.body.products.find(p => p.productId === large.id);
+    assert.equal(report.tempVariantCount, 105);
+    assert.equal(report.toDelete.length, 103);
+    assert.equal(res.body.productCount, 2);
+  });
+
+  it("limits the run to the given products", async () => {
+    const other = shop.addProduct({ variants: [{ title: "Default Title" }] });
+
+    const res = await invoke(handler, {
+      method: "GET",
+      query: { dryRun: "true", productIds: other.id.split("/").pop() }
+    });
+
+    assert.equal(res.body.productCount, 0);
+  });
+
+  it("rejects maxCount outside dry runs", async () => {
+    const res = await invoke(handler, { method: "GET", query: { maxCount: "1" } });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(titles().length, 6);
+  });
+});
@@ -0,0 +1,235 @@
+import "./support/env.js";
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import handler from "../api/create-variant.js";
+import { isTemporaryVariant } from "../lib/variant-labels.js";
+import { invoke, useFakeShop } from "./support/http.js";
+
+describe("create-variant", () => {
+  let shop;
+  let warehouse;
+
+  beforeEach(() => {
+    shop = useFakeShop();
+    warehouse = shop.addLocation("Warehouse");
+  });
+
+  const create = body => invoke(handler, { body: { mode: "length", ...body } });
+
+  it("creates a labelled variant with the quoted price", async () => {
+    const product = shop.addProduct({ price: "10.00" });
+
+    const res = await create({ productId: product.id, length: 1200 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.price, 12);
+
+    const variant = shop.variantsOf(product.id).at(-1);
+    assert.equal(variant.title, "Länge | 1200 mm");
+    assert.equal(variant.price, "12.00");
+    assert.equal(res.body.variantId, Number(variant.id.split("/").pop()));
+  });
+
+  it("renames the Default Title option", async () => {
+    const product = shop.addProduct();
+
+    await create({ productId: product.id, length: 1000 });
+
+    assert.equal(shop.products.get(product.id).options[0].name, "Dimensions");
+  });
+
+  it("links the starter variant and stocks 0 where the starter is stocked", async () => {
+    const outlet = shop.addLocation("Outlet");
+    const product = shop.addProduct({
+      variants: [{ title: "Default Title", price: "10.00", stock: { [outlet.id]: 50 } }]
+    });
+    const [starter] = shop.variantsOf(product.id);
+
+    await create({ productId: product.id, length: 1000 });
+
+    const variant = shop.variantsOf(product.id).at(-1);
+    assert.equal(variant.metafields.get("starter_variant_id"), starter.id.split("/").pop());
+    assert.equal(shop.available(variant.inventoryItemId, outlet.id), 0);
+    assert.equal(shop.available(variant.inventoryItemId, warehouse.id), undefined);
+  });
+
+  it("creates the variant in a single mutation", async () => {
+    const product = shop.addProduct();
+
+    await create({ productId: product.id, length: 1000 });
+
+    assert.equal(shop.calls.filter(call => call === "productVariantsBulkCreate").length, 1);
+    assert.equal(shop.calls.includes("metafieldsSet"), false);
+    assert.equal(shop.calls.some(call => call.endsWith(".json")), false);
+  });
+
+  it("reuses an existing variant and re-prices it", async () => {
+    const product = shop.addProduct({
+      optionName: "Dimensions",
+      variants: [
+        { title: "Default Title", price: "10.00" },
+        { title: "Länge | 1500 mm", price: "9.00" }
+      ]
+    });
+    const existing = shop.variantsOf(product.id)[1];
+
+    const res = await create({ productId: product.id, length: 1500 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.isExisting, true);
+    assert.equal(shop.variantsOf(product.id).length, 2);
+    assert.equal(existing.price, "15.00");
+  });
+
+  it("reuses a variant the search does not show yet", async () => {
+    const product = shop.addProduct({ optionName: "Dimensions" });
+    const existing = shop.addVariant(product.id, {
+      title: "Länge | 1500 mm",
+      price: "9.00",
+      indexed: false
+    });
+
+    const res = await create({ productId: product.id, length: 1500 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.isExisting, true);
+    assert.equal(res.body.variantId, Number(existing.id.split("/").pop()));
+    assert.equal(shop.variantsOf(product.id).length, 2);
+    assert.equal(existing.price, "15.00");
+  });
+
+  it("answers 404 for an unknown product", async () => {
+    const res = await create({ productId: "gid://shopify/Product/1", length: 1000 });
+
+    assert.equal(res.statusCode, 404);
+  });
+
+  it("never creates a variant for a negative dimension", async () => {
+    const product = shop.addProduct();
+
+    const res = await create({ productId: product.id, length: -5 });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, "DIMENSION_NOT_POSITIVE");
+    assert.equal(shop.variantsOf(product.id).length, 1);
+    assert.deepEqual(shop.calls, []);
+  });
+
+  it("never creates a variant outside the product limits", async () => {
+    const product = shop.addProduct({ metafields: { min_length_mm: "100" } });
+
+    const res = await create({ productId: product.id, length: 50 });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, "DIMENSION_TOO_SMALL");
+    assert.equal(res.body.minMm, 100);
+    assert.equal(shop.variantsOf(product.id).length, 1);
+  });
+
+  it("never creates a variant below 1 mm in imperial units", async () => {
+    const product = shop.addProduct();
+
+    const res = await create({ productId: product.id, unit: "in", length: 0.0000001 });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, "DIMENSION_TOO_SMALL");
+    assert.equal(res.body.minMm, 1);
+    assert.deepEqual(shop.calls, []);
+  });
+
+  it("rounds imperial input into a label cleanup recognises", async () => {
+    const product = shop.addProduct();
+
+    const res = await create({ productId: product.id, unit: "in", length: 12.3456789 });
+
+    assert.equal(res.statusCode, 200);
+    const variant = shop.variantsOf(product.id).at(-1);
+    assert.equal(variant.title, "Länge | 12.346 in");
+    assert.ok(isTemporaryVariant(variant.title));
+  });
+
+  it("fixes the presentment price in the market's price list", async () => {
+    const market = shop.addMarket({
+      handle: "switzerland",
+      countries: ["CH"],
+      currency: "CHF",
+      rate: 0.93
+    });
+    const product = shop.addProduct({ price: "10.00" });
+
+    const res = await create({ productId: product.id, length: 1234, country: "CH" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.presentment.unitPrice, 11.5);
+
+    const variant = shop.variantsOf(product.id).at(-1);
+    assert.equal(market.fixedPrices.get(variant.id), "11.50");
+  });
+
+  it("drops fixed prices in other markets when it re-prices an existing variant", async () => {
+    const uk = shop.addMarket({ handle: "uk", countries: ["GB"], currency: "GBP" });
+    const product = shop.addProduct({
+      optionName: "Dimensions",
+      variants: [
+        { title: "Default Title", price: "10.00" },
+        { title: "Länge | 1500 mm", price: "9.00" }
+      ]
+    });
+    const existing = shop.variantsOf(product.id)[1];
+    uk.fixedPrices.set(existing.id, "7.80");
+
+    await create({ productId: product.id, length: 1500 });
+
+    assert.equal(existing.price, "15.00");
+    assert.equal(uk.fixedPrices.has(existing.id), false);
+  });
+
+  it("drops the old label's fixed prices when it reuses a pooled variant", async () => {
+    const uk = shop.addMarket({ handle: "uk", countries: ["GB"], currency: "GBP" });
+    const swiss = shop.addMarket({ handle: "switzerland", countries: ["CH"], currency: "CHF" });
+    const tenHoursAgo = new Date(Date.now() - 10 * 3600 * 1000).toISOString();
+    // SHOPIFY_VARIANT_LIMIT=10, VARIANT_POOL_HEADROOM=2 (support/env.js)
+    const product = shop.addProduct({
+      optionName: "Dimensions",
+      variants: [
+        { title: "Default Title", price: "10.00" },
+        ...Array.from({ length: 7 }, (_, i) => ({
+          title: `Länge | ${1000 + i * 100} mm`,
+          createdAt: tenHoursAgo
+        }))
+      ]
+    });
+    const [, pooled] = shop.variantsOf(product.id);
+    uk.fixedPrices.set(pooled.id, "8.00");
+
+    const res = await create({ productId: product.id, length: 2500, country: "CH" });
+
+    assert.equal(res.body.isPooled, true);
+    assert.equal(pooled.title, "Länge | 2500 mm");
+    assert.equal(uk.fixedPrices.has(pooled.id), false);
+    assert.equal(swiss.fixedPrices.get(pooled.id), "25.00");
+  });
+
+  it("labels layout-priced variants with the number of pieces", async () => {
+    const product = shop.addProduct({
+      price: "10.00",
+      metafields: { stock_format: JSON.stringify({ type: "roll", widthMm: 1250 }) }
+    });
+
+    const res = await create({
+      productId: product.id,
+      mode: "area",
+      length: 1000,
+      width: 600,
+      quantity: 3
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.price, 7.5);
+    assert.equal(
+      shop.variantsOf(product.id).at(-1).title,
+      "Länge | 1000 mm X Breite | 600 mm X Stück | 3"
+    );
+  });
+});
@@ -0,0 +1,198 @@
+import "./support/env.js";
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import handler from "../api/cut-list.js";
+import { invoke, useFakeShop } from "./support/http.js";
+
+const numeric = gid => gid.split("/").pop();
+
+describe("cut-list", () => {
+  let shop;
+  let hose;
+  let felt;
+
+  beforeEach(() => {
+    shop = useFakeShop();
+
+    const hoseProduct = shop.addProduct({
+      title: "Gartenschlauch",
+      variants: [{ title: "1/2 Zoll" }, { title: "3/4 Zoll" }]
+    });
+    const feltProduct = shop.addProduct({ title: "Filz" });
+    const [halfInch, threeQuarter] = shop.variantsOf(hoseProduct.id);
+    const [feltStarter] = shop.variantsOf(feltProduct.id);
+
+    const cutOf = (productId, starter, title) =>
+      shop.addVariant(productId, {
+        title,
+        metafields: { starter_variant_id: numeric(starter.id) }
+      });
+
+    hose = {
+      half: cutOf(hoseProduct.id, halfInch, "Länge | 1200 mm"),
+      threeQuarter: cutOf(hoseProduct.id, threeQuarter, "Länge | 500 mm")
+    };
+    felt = cutOf(feltProduct.id, feltStarter, "Länge | 1000 mm | Breite | 500 mm");
+
+    shop.addOrder({
+      createdAt: "2026-03-02T09:00:00.000Z",
+      lineItems: [
+        {
+          variantId: hose.half.id,
+          quantity: 2,
+          properties: { _Individuelle_Länge: "1200 mm" }
+        },
+        {
+          variantId: felt.id,
+          quantity: 3,
+          fulfilled: 1,
+          properties: { _Individuelle_Länge: "1000 mm", _Individuelle_Breite: "50 cm" }
+        }
+      ]
+    });
+    shop.addOrder({
+      createdAt: "2026-03-03T14:30:00.000Z",
+      lineItems: [
+        {
+          variantId: hose.half.id,
+          quantity: 1,
+          properties: { _Individuelle_Länge: "800 mm" }
+        },
+        {
+          variantId: hose.threeQuarter.id,
+          quantity: 4,
+          properties: { _Individuelle_Länge: "500 mm" }
+        }
+      ]
+    });
+  });
+
+  const cutList = (query = {}, token = "test-admin-secret") =>
+    invoke(handler, {
+      method: "GET",
+      query,
+      headers: token ? { authorization: `Bearer ${token}` } : {}
+    });
+
+  it("groups open cuts by starter product and material", async () => {
+    const res = await cutList();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.truncated, false);
+    assert.deepEqual(
+      res.body.groups.map(g => [g.product, g.material, g.totals]),
+      [
+        ["Filz", null, { pieces: 2, lengthM: 2, areaSqm: 1 }],
+        ["Gartenschlauch", "1/2 Zoll", { pieces: 3, lengthM: 3.2, areaSqm: 0 }],
+        ["Gartenschlauch", "3/4 Zoll", { pieces: 4, lengthM: 2, areaSqm: 0 }]
+      ]
+    );
+
+    const [feltCut] = res.body.groups[0].cuts;
+    assert.equal(feltCut.quantity, 2);
+    assert.equal(feltCut.lengthMm, 1000);
+    assert.equal(feltCut.widthMm, 500);
+    assert.equal(feltCut.diameterMm, null);
+    assert.equal(feltCut.createdAt, "2026-03-02T09:00:00.000Z");
+  });
+
+  it("skips unpaid, fulfilled and standard line items", async () => {
+    const [standard] = shop.variantsOf(shop.addProduct({ title: "Schelle" }).id);
+    shop.addOrder({
+      paid: false,
+      lineItems: [
+        { variantId: hose.half.id, quantity: 5, properties: { _Individuelle_Länge: "300 mm" } }
+      ]
+    });
+    shop.addOrder({
+      lineItems: [
+        {
+          variantId: hose.half.id,
+          quantity: 1,
+          fulfilled: 1,
+          properties: { _Individuelle_Länge: "300 mm" }
+        },
+        { variantId: standard.id, quantity: 2 }
+      ]
+    });
+
+    const res = await cutList();
+
+    assert.deepEqual(
+      res.body.groups.map(g => g.totals.pieces),
+      [2, 3, 4]
+    );
+  });
+
+  it("reads every page of orders and line items", async () => {
+    const cut = {
+      variantId: hose.half.id,
+      quantity: 1,
+      properties: { _Individuelle_Länge: "100 mm" }
+    };
+    shop.addOrder({ lineItems: Array.from({ length: 18 }, () => cut) });
+    for (let i = 0; i < 10; i++) shop.addOrder({ lineItems: [cut] });
+
+    const res = await cutList();
+
+    const half = res.body.groups.find(g => g.material === "1/2 Zoll");
+    assert.equal(half.totals.pieces, 3 + 18 + 10);
+    assert.equal(res.body.truncated, false);
+  });
+
+  it("limits the list to the date range", async () => {
+    const res = await cutList({ from: "2026-03-03", to: "2026-03-04" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.from, "2026-03-03T00:00:00.000Z");
+    assert.deepEqual(
+      res.body.groups.map(g => [g.material, g.totals.pieces]),
+      [
+        ["1/2 Zoll", 1],
+        ["3/4 Zoll", 4]
+      ]
+    );
+  });
+
+  it("exports CSV with a total row per group", async () => {
+    const res = await cutList({ format: "csv" });
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers["content-type"], /^text\/csv/);
+    assert.match(res.headers["content-disposition"], /filename="cut-list-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = res.body.replace(/^\uFEFF/, "").trim().split("\r\n");
+    assert.equal(lines[0], CSV_HEADER);
+    assert.equal(lines.length, 1 + 4 + 3);
+    assert.ok(lines.includes("Gartenschlauch,1/2 Zoll,Total,,,,,,,3,3.2,0"));
+    assert.ok(lines.includes("Filz,,Total,,,,,,,2,2,1"));
+  });
+
+  it("renders a printable HTML page", async () => {
+    const res = await cutList({ format: "html" });
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers["content-type"], /^text\/html/);
+    assert.match(res.body, /<h2>Gartenschlauch – 1\/2 Zoll<\/h2>/);
+    assert.equal(res.body.match(/<table>/g).length, 3);
+  });
+
+  it("requires the admin secret", async () => {
+    const res = await cutList({}, null);
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("rejects invalid dates and formats", async () => {
+    const date = await cutList({ from: "yesterday" });
+    assert.equal(date.statusCode, 400);
+    assert.equal(date.body.code, "INVALID_DATE");
+
+    const format = await cutList({ format: "pdf" });
+    assert.equal(format.statusCode, 400);
+  });
+});
+
+const CSV_HEADER =
+  "product,material,order,date,item,length_mm,width_mm,diameter_mm,thickness_mm," +
+  "quantity,total_length_m,total_area_sqm";
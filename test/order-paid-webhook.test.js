@@ -0,0 +1,128 @@
+import "./support/env.js";
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import handler from "../api/order-paid-webhook.js";
+import { deliverWebhook, useFakeShop } from "./support/http.js";
+
+const numeric = gid => Number(gid.split("/").pop());
+
+describe("order-paid-webhook", () => {
+  let shop;
+  let warehouse;
+  let starter;
+  let payload;
+  let order;
+
+  beforeEach(() => {
+    shop = useFakeShop();
+    warehouse = shop.addLocation("Warehouse");
+
+    const product = shop.addProduct({
+      optionName: "Dimensions",
+      metafields: { inventory_mode: "length", inventory_unit: "cm" },
+      variants: [{ title: "Default Title", stock: { [warehouse.id]: 1000 } }]
+    });
+    [starter] = shop.variantsOf(product.id);
+
+    const cut = shop.addVariant(product.id, {
+      title: "Länge | 1200 mm",
+      metafields: { starter_variant_id: String(numeric(starter.id)) },
+      stock: { [warehouse.id]: 0 }
+    });
+
+    order = shop.addOrder({
+      lineItems: [{ variantId: cut.id, quantity: 2, locationId: warehouse.id }]
+    });
+
+    payload = {
+      id: numeric(order.id),
+      line_items: order.lineItems.map(item => ({
+        id: numeric(item.id),
+        variant_id: numeric(cut.id),
+        product_id: numeric(product.id),
+        quantity: item.quantity,
+        properties: [{ name: "_Individuelle_Länge", value: "1200 mm" }]
+      }))
+    };
+  });
+
+  const stock = () => shop.available(starter.inventoryItemId, warehouse.id);
+
+  it("deducts the cut material from the starter variant", async () => {
+    const res = await deliverWebhook(handler, payload);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(stock(), 1000 - 240);
+    assert.equal(order.metafields.get("inventory_processed"), "true");
+  });
+
+  it("rejects a delivery with an invalid HMAC", async () => {
+    const res = await deliverWebhook(handler, payload, "wrong-secret");
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(stock(), 1000);
+  });
+
+  it("does not deduct twice for a redelivery", async () => {
+    await deliverWebhook(handler, payload);
+    const res = await deliverWebhook(handler, payload);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(stock(), 1000 - 240);
+  });
+
+  it("skips lines already recorded by an interrupted delivery", async () => {
+    order.metafields.set("processed_line_items", JSON.stringify([String(payload.line_items[0].id)]));
+
+    await deliverWebhook(handler, payload);
+
+    assert.equal(stock(), 1000);
+    assert.equal(order.metafields.get("inventory_processed"), "true");
+  });
+
+  it("deducts at a location beyond the first page of fulfillment orders", async () => {
+    const others = Array.from({ length: 5 }, (_, i) => shop.addLocation(`Store ${i}`));
+    const far = shop.addLocation("Far");
+    shop.inventoryLevels.get(starter.inventoryItemId).set(far.id, 500);
+
+    const [cut] = payload.line_items;
+    const cutVariantId = `gid://shopify/ProductVariant/${cut.variant_id}`;
+    const farOrder = shop.addOrder({
+      lineItems: [
+        ...others.map(location => ({
+          variantId: starter.id,
+          quantity: 1,
+          locationId: location.id
+        })),
+        { variantId: cutVariantId, quantity: 2, locationId: far.id }
+      ]
+    });
+    const farItem = farOrder.lineItems.at(-1);
+
+    const res = await deliverWebhook(handler, {
+      id: numeric(farOrder.id),
+      line_items: [{ ...cut, id: numeric(farItem.id) }]
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(shop.available(starter.inventoryItemId, far.id), 500 - 240);
+    assert.equal(stock(), 1000);
+  });
+
+  it("counts stock in cm when the product sets no inventory unit", async () => {
+    shop.products.get(starter.productId).metafields.delete("inventory_unit");
+
+    await deliverWebhook(handler, payload);
+
+    assert.equal(stock(), 1000 - 240);
+  });
+
+  it("ignores lines without custom dimensions", async () => {
+    payload.line_items[0].properties = [];
+
+    const res = await deliverWebhook(handler, payload);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(stock(), 1000);
+  });
+});
@@ -0,0 +1,118 @@
+import "./support/env.js";
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import handler from "../api/quote-batch.js";
+import { invoke, useFakeShop } from "./support/http.js";
+
+describe("quote-batch", () => {
+  let shop;
+
+  beforeEach(() => {
+    shop = useFakeShop();
+  });
+
+  const batch = body => invoke(handler, { body });
+
+  it("quotes every line and sums the totals", async () => {
+    const product = shop.addProduct({ price: "10.00" });
+
+    const res = await batch({
+      items: [
+        { productId: product.id, mode: "length", dimensions: { length: 1190 }, quantity: 2 },
+        { productId: product.id, mode: "length", dimensions: { length: -1 }, quantity: 1 }
+      ]
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.items[0].success, true);
+    assert.equal(res.body.items[1].success, false);
+    assert.equal(res.body.errorCount, 1);
+    assert.equal(res.body.totalPrice, 23.8);
+  });
+
+  it("reports invalid lines with the validation codes of calculate-price", async () => {
+    const product = shop.addProduct({ price: "10.00" });
+    const line = { productId: product.id, mode: "length", dimensions: { length: 1000 } };
+
+    const res = await batch({
+      items: [
+        { ...line, quantity: 1 },
+        { ...line, productId: undefined, quantity: 1 },
+        { ...line, mode: undefined, quantity: 1 },
+        line,
+        { ...line, quantity: 0 }
+      ]
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(
+      res.body.items.map(item => [item.code, item.field]),
+      [
+        [undefined, undefined],
+        ["MISSING_PARAMETER", "productId"],
+        ["MISSING_PARAMETER", "mode"],
+        ["MISSING_PARAMETER", "quantity"],
+        ["INVALID_QUANTITY", undefined]
+      ]
+    );
+    assert.equal(res.body.totalPrice, 10);
+  });
+
+  it("quotes lines on many distinct products", async () => {
+    const items = Array.from({ length: 20 }, (_, i) => ({
+      productId: shop.addProduct({ title: `Product ${i}`, price: "10.00" }).id,
+      mode: "length",
+      dimensions: { length: 1000 },
+      quantity: 1
+    }));
+
+    const res = await batch({ items });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.errorCount, 0);
+    assert.equal(res.body.totalPrice, 200);
+  });
+
+  it("sums the tax breakdown of the valid lines", async () => {
+    const product = shop.addProduct({ price: "10.00" });
+    const line = length => ({
+      productId: product.id,
+      mode: "length",
+      dimensions: { length },
+      quantity: 1
+    });
+
+    const res = await batch({ items: [line(1190), line(2380)], country: "DE", b2b: true });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.items[1].tax.total, { net: 20, tax: 3.8, gross: 23.8 });
+    assert.deepEqual(res.body.tax, {
+      country: "DE",
+      rate: 0.19,
+      taxesIncluded: true,
+      display: "net",
+      total: { net: 30, tax: 5.7, gross: 35.7 }
+    });
+  });
+
+  it("nests the area lines of a product together", async () => {
+    const product = shop.addProduct({
+      price: "10.00",
+      metafields: { stock_format: JSON.stringify({ type: "roll", widthMm: 1250 }) }
+    });
+    const line = {
+      productId: product.id,
+      mode: "area",
+      dimensions: { length: 1000, width: 600 },
+      quantity: 1
+    };
+
+    const res = await batch({ items: [line, line] });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.items[0].layout.pieces, 2);
+    assert.equal(res.body.items[0].layout.consumedLengthMm, 1000);
+    assert.equal(res.body.items[0].unitPrice, 6.25);
+    assert.equal(res.body.totalPrice, 12.5);
+  });
+});
@@ -0,0 +1,90 @@
+import "./support/env.js";
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import handler from "../api/register-webhook.js";
+import declaredWebhooks from "../config/webhooks.js";
+import { invoke, useFakeShop } from "./support/http.js";
+
+// APP_BASE_URL=https://custom-price.test (support/env.js)
+const BASE_URL = "https://custom-price.test";
+
+describe("register-webhook", () => {
+  let shop;
+
+  beforeEach(() => {
+    shop = useFakeShop();
+  });
+
+  const subscriptions = () =>
+    [...shop.webhookSubscriptions.values()]
+      .map(s => `${s.topic} ${s.callbackUrl}`)
+      .sort();
+
+  const expected = () =>
+    declaredWebhooks.map(({ topic, path }) => `${topic} ${BASE_URL}${path}`).sort();
+
+  const register = (method, token = "test-admin-secret") =>
+    invoke(handler, { method, headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+  it("creates every declared subscription", async () => {
+    const res = await register("POST");
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.created.length, declaredWebhooks.length);
+    assert.deepEqual(subscriptions(), expected());
+  });
+
+  it("is idempotent", async () => {
+    await register("POST");
+    const res = await register("POST");
+
+    assert.equal(res.body.created.length, 0);
+    assert.equal(res.body.unchanged.length, declaredWebhooks.length);
+    assert.deepEqual(subscriptions(), expected());
+  });
+
+  it("moves subscriptions to the configured URL and removes stale ones", async () => {
+    const moved = shop.addWebhookSubscription("ORDERS_PAID", "https://old.example.com/api/order-paid-webhook");
+    shop.addWebhookSubscription("ORDERS_PAID", "https://old.example.com/api/order-paid-webhook");
+    shop.addWebhookSubscription("PRODUCTS_DELETE", `${BASE_URL}/api/products-delete`);
+
+    const res = await register("POST");
+
+    assert.deepEqual(res.body.updated.map(u => u.id), [moved.id]);
+    assert.deepEqual(res.body.deleted.map(d => d.reason).sort(), ["duplicate", "undeclared"]);
+    assert.deepEqual(subscriptions(), expected());
+  });
+
+  it("only reports the diff for GET", async () => {
+    const res = await register("GET");
+
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.created.length, declaredWebhooks.length);
+    assert.equal(shop.webhookSubscriptions.size, 0);
+  });
+
+  it("requires the admin secret", async () => {
+    const res = await register("POST", null);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(shop.webhookSubscriptions.size, 0);
+  });
+
+  it("only falls back to VERCEL_URL when enabled", async t => {
+    t.after(() => {
+      process.env.APP_BASE_URL = BASE_URL;
+      delete process.env.VERCEL_URL;
+      delete process.env.WEBHOOKS_USE_VERCEL_URL;
+    });
+    delete process.env.APP_BASE_URL;
+    process.env.VERCEL_URL = "custom-price-git-preview.vercel.app";
+
+    const refused = await register("POST");
+    assert.equal(refused.statusCode, 500);
+    assert.equal(shop.webhookSubscriptions.size, 0);
+
+    process.env.WEBHOOKS_USE_VERCEL_URL = "true";
+    const res = await register("GET");
+    assert.equal(res.body.baseUrl, "https://custom-price-git-preview.vercel.app");
+  });
+});
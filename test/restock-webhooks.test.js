@@ -0,0 +1,232 @@
+import "./support/env.js";
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import cancelHandler from "../api/order-cancelled-webhook.js";
+import paidHandler from "../api/order-paid-webhook.js";
+import refundHandler from "../api/refund-webhook.js";
+import { getStore, setStore } from "../lib/kv.js";
+import { deliverWebhook, useFakeShop } from "./support/http.js";
+
+const numeric = gid => Number(gid.split("/").pop());
+
+// Two 1200 mm cuts (2 pieces each) from two starters stocked in cm
+describe("restock webhooks", () => {
+  let shop;
+  let warehouse;
+  let red;
+  let blue;
+  let order;
+  let lineItems;
+
+  beforeEach(async () => {
+    // Mixed with the handlers' logs, the test reports sometimes reach the
+    // Node 20+ runner unparsable ("Unable to deserialize cloned data")
+    for (const method of ["log", "warn", "error"]) mock.method(console, method, () => {});
+
+    shop = useFakeShop();
+    warehouse = shop.addLocation("Warehouse");
+
+    const product = shop.addProduct({
+      optionName: "Dimensions",
+      metafields: { inventory_mode: "length", inventory_unit: "cm" },
+      variants: [
+        { title: "Rot", stock: { [warehouse.id]: 1000 } },
+        { title: "Blau", stock: { [warehouse.id]: 1000 } }
+      ]
+    });
+    [red, blue] = shop.variantsOf(product.id);
+
+    const cutOf = starter =>
+      shop.addVariant(product.id, {
+        title: `${starter.title} | Länge | 1200 mm`,
+        metafields: { starter_variant_id: String(numeric(starter.id)) },
+        stock: { [warehouse.id]: 0 }
+      });
+    const cuts = [cutOf(red), cutOf(blue)];
+
+    order = shop.addOrder({
+      lineItems: cuts.map(cut => ({ variantId: cut.id, quantity: 2, locationId: warehouse.id }))
+    });
+
+    lineItems = order.lineItems.map((item, i) => ({
+      id: numeric(item.id),
+      variant_id: numeric(cuts[i].id),
+      product_id: numeric(product.id),
+      quantity: item.quantity,
+      properties: [{ name: "_Individuelle_Länge", value: "1200 mm" }]
+    }));
+
+    await deliverWebhook(paidHandler, { id: numeric(order.id), line_items: lineItems });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const stock = starter => shop.available(starter.inventoryItemId, warehouse.id);
+
+  // Blue's adjustments fail until its stock level is back
+  const breakBlue = () => shop.inventoryLevels.get(blue.inventoryItemId).delete(warehouse.id);
+  const repairBlue = () => shop.inventoryLevels.get(blue.inventoryItemId).set(warehouse.id, 760);
+
+  describe("refunds/create", () => {
+    const refund = (quantity, restockType = "return") => ({
+      id: 501,
+      order_id: numeric(order.id),
+      refund_line_items: lineItems.map((item, i) => ({
+        id: 601 + i,
+        line_item_id: item.id,
+        quantity,
+        restock_type: restockType,
+        line_item: item
+      }))
+    });
+
+    it("gives restocked lines back to their starter variants", async () => {
+      const res = await deliverWebhook(refundHandler, refund(1));
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(stock(red), 760 + 120);
+      assert.equal(stock(blue), 760 + 120);
+    });
+
+    it("ignores lines that are not restocked", async () => {
+      await deliverWebhook(refundHandler, refund(1, "no_restock"));
+
+      assert.equal(stock(red), 760);
+    });
+
+    it("never restocks a line twice after a partial failure", async () => {
+      breakBlue();
+      const failed = await deliverWebhook(refundHandler, refund(1));
+      assert.equal(failed.statusCode, 500);
+      assert.equal(stock(red), 880);
+
+      repairBlue();
+      const retried = await deliverWebhook(refundHandler, refund(1));
+
+      assert.equal(retried.statusCode, 200);
+      assert.equal(stock(red), 880);
+      assert.equal(stock(blue), 880);
+    });
+
+    it("does not restock a redelivered refund", async () => {
+      await deliverWebhook(refundHandler, refund(1));
+      await deliverWebhook(refundHandler, refund(1));
+
+      assert.equal(stock(red), 880);
+    });
+
+    it("gives back no more than was deducted over partial refunds", async () => {
+      // 3 × 0.35 m rounds up to 2 m; one piece alone would round up to 1 m
+      const product = shop.addProduct({
+        optionName: "Dimensions",
+        metafields: { inventory_mode: "length", inventory_unit: "m" },
+        variants: [{ title: "Default Title", stock: { [warehouse.id]: 10 } }]
+      });
+      const [starter] = shop.variantsOf(product.id);
+      const cut = shop.addVariant(product.id, {
+        title: "Länge | 350 mm",
+        metafields: { starter_variant_id: String(numeric(starter.id)) },
+        stock: { [warehouse.id]: 0 }
+      });
+      const metreOrder = shop.addOrder({
+        lineItems: [{ variantId: cut.id, quantity: 3, locationId: warehouse.id }]
+      });
+      const item = {
+        id: numeric(metreOrder.lineItems[0].id),
+        variant_id: numeric(cut.id),
+        product_id: numeric(product.id),
+        quantity: 3,
+        properties: [{ name: "_Individuelle_Länge", value: "350 mm" }]
+      };
+
+      await deliverWebhook(paidHandler, { id: numeric(metreOrder.id), line_items: [item] });
+      assert.equal(stock(starter), 8);
+
+      for (const id of [701, 702, 703]) {
+        await deliverWebhook(refundHandler, {
+          id,
+          order_id: numeric(metreOrder.id),
+          refund_line_items: [
+            {
+              id: id + 100,
+              line_item_id: item.id,
+              quantity: 1,
+              restock_type: "return",
+              line_item: item
+            }
+          ]
+        });
+      }
+
+      assert.equal(stock(starter), 10);
+    });
+  });
+
+  describe("orders/cancelled", () => {
+    const cancellation = (refunds = []) => ({
+      id: numeric(order.id),
+      line_items: lineItems,
+      refunds
+    });
+
+    it("gives every line back", async () => {
+      const res = await deliverWebhook(cancelHandler, cancellation());
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(stock(red), 1000);
+      assert.equal(stock(blue), 1000);
+    });
+
+    it("leaves out quantities already covered by refunds", async () => {
+      const refunds = [{ refund_line_items: [{ line_item_id: lineItems[0].id, quantity: 1 }] }];
+
+      await deliverWebhook(cancelHandler, cancellation(refunds));
+
+      assert.equal(stock(red), 760 + 120);
+      assert.equal(stock(blue), 1000);
+    });
+
+    it("never restocks a line twice after a partial failure", async () => {
+      breakBlue();
+      const failed = await deliverWebhook(cancelHandler, cancellation());
+      assert.equal(failed.statusCode, 500);
+      assert.equal(stock(red), 1000);
+
+      repairBlue();
+      const retried = await deliverWebhook(cancelHandler, cancellation());
+
+      assert.equal(retried.statusCode, 200);
+      assert.equal(stock(red), 1000);
+      assert.equal(stock(blue), 1000);
+    });
+
+    it("gives back the lines an interrupted orders/paid delivery deducted", async () => {
+      // orders/paid stopped after the red line
+      order.metafields.delete("inventory_processed");
+      order.metafields.set("processed_line_items", JSON.stringify([String(lineItems[0].id)]));
+
+      await deliverWebhook(cancelHandler, cancellation());
+
+      assert.equal(stock(red), 1000);
+      assert.equal(stock(blue), 760);
+    });
+
+    it("answers 409 while another delivery holds the order", async () => {
+      await getStore().set(`lock:order:${numeric(order.id)}`, "other-delivery", 60);
+
+      const res = await deliverWebhook(cancelHandler, cancellation());
+
+      assert.equal(res.statusCode, 409);
+      assert.equal(stock(red), 760);
+    });
+
+    it("fails instead of running unlocked without a shared store", async () => {
+      setStore(null);
+
+      const res = await deliverWebhook(cancelHandler, cancellation());
+
+      assert.equal(res.statusCode, 500);
+      assert.equal(stock(red), 760);
+    });
+  });
+});
@@ -0,0 +1,21 @@
+// shopify-custom-price/test/support/env.js
+
+/* -------------------------------------------------
+   Test environment
+   Imported first by every test file: modules read
+   their configuration when they are loaded.
+-------------------------------------------------- */
+Object.assign(process.env, {
+  SHOPIFY_SHOP: "test-shop.myshopify.com",
+  SHOPIFY_ADMIN_TOKEN: "shpat_test",
+  SHOPIFY_WEBHOOK_SECRET: "test-webhook-secret",
+  SHOPIFY_MAX_RETRIES: "0",
+  ADMIN_API_SECRET: "test-admin-secret",
+  APP_BASE_URL: "https://custom-price.test",
+  DEFAULT_LOCALE: "de",
+  TEMP_VARIANT_MAX_COUNT: "2",
+  TEMP_VARIANT_BUFFER_MINUTES: "120",
+  VARIANT_POOL_ENABLED: "true",
+  SHOPIFY_VARIANT_LIMIT: "10",
+  VARIANT_POOL_HEADROOM: "2"
+});
@@ -0,0 +1,747 @@
+// shopify-custom-price/test/support/fake-shopify.js
+
+/* -------------------------------------------------
+   In-process fake of the Shopify Admin API
+
+   Covers the GraphQL and REST surface the endpoints use:
+   products, variants, metafields, locations, inventory,
+   orders, draft orders, checkouts, webhook subscriptions,
+   markets with price lists and bulk variant delete. Install it with
+   setFetch(shop.fetch) from lib/shopify.js.
+
+   There is no GraphQL engine: operations are recognised
+   by their root fields and answered with a superset of
+   the fields any endpoint selects. Connections honour
+   `first` / `after`, and queries over Shopify's
+   1000-point cost limit fail as they would in the shop.
+-------------------------------------------------- */
+const gid = (type, id) => `gid://shopify/${type}/${id}`;
+const numericId = id => String(id).split("/").pop();
+// Connection page; cursors are node ids
+const edges = (nodes, { first = Infinity, after = null } = {}) => {
+  const start = after ? nodes.findIndex(node => node.id === after) + 1 : 0;
+  return {
+    edges: nodes.slice(start, start + first).map(node => ({ node, cursor: node.id })),
+    pageInfo: { hasNextPage: start + first < nodes.length }
+  };
+};
+
+// Page size of a connection field in the query text, e.g. lineItems(first: 20)
+function pageSize(query, field) {
+  const value = new RegExp(`\\b${field}\\(first:\\s*(\\d+)`).exec(query)?.[1];
+  return value === undefined ? Infinity : Number(value);
+}
+const money = value => Number(value).toFixed(2);
+
+export class FakeShopify {
+  constructor() {
+    this.nextId = 1000;
+    this.shop = { name: "Fake Shop", currencyCode: "EUR", taxesIncluded: true };
+    this.products = new Map();
+    this.variants = new Map();
+    this.collections = new Map();
+    this.locations = [];
+    this.inventoryLevels = new Map(); // inventoryItemId → Map(locationId → available)
+    this.orders = new Map();
+    this.draftOrders = [];
+    this.checkouts = [];
+    this.webhookSubscriptions = new Map();
+    this.markets = [];
+    this.calls = [];
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  id() {
+    return this.nextId++;
+  }
+
+  /* --------------------------------
+     Fixtures
+  -------------------------------- */
+  addLocation(name = "Warehouse", { isActive = true } = {}) {
+    const location = { id: gid("Location", this.id()), name, isActive };
+    this.locations.push(location);
+    return location;
+  }
+
+  addProduct({ title = "Product", price = "10.00", optionName = "Title", metafields = {}, variants = [] } = {}) {
+    const product = {
+      id: gid("Product", this.id()),
+      title,
+      options: [{ id: gid("ProductOption", this.id()), name: optionName }],
+      metafields: new Map(Object.entries(metafields)),
+      variantIds: []
+    };
+    this.products.set(product.id, product);
+
+    const list = variants.length > 0 ? variants : [{ title: "Default Title", price }];
+    for (const variant of list) this.addVariant(product.id, variant);
+
+    return product;
+  }
+
+  addVariant(
+    productId,
+    { title, price = "10.00", createdAt, updatedAt, metafields = {}, stock = {}, indexed = true }
+  ) {
+    const now = new Date().toISOString();
+    const variant = {
+      id: gid("ProductVariant", this.id()),
+      productId,
+      title,
+      price: money(price),
+      createdAt: createdAt ?? now,
+      updatedAt: updatedAt ?? createdAt ?? now,
+      inventoryItemId: gid("InventoryItem", this.id()),
+      metafields: new Map(Object.entries(metafields)),
+      indexed
+    };
+    this.variants.set(variant.id, variant);
+    this.products.get(productId).variantIds.push(variant.id);
+
+    const levels = new Map(Object.entries(stock));
+    this.inventoryLevels.set(variant.inventoryItemId, levels);
+    return variant;
+  }
+
+  addCollection(productIds) {
+    const id = gid("Collection", this.id());
+    this.collections.set(id, productIds);
+    return id;
+  }
+
+  // lineItems: [{ variantId, quantity, locationId, properties: { name: value }, fulfilled }]
+  addOrder({ lineItems = [], open = true, paid = true, createdAt } = {}) {
+    const id = this.id();
+    const order = {
+      id: gid("Order", id),
+      name: `#${id}`,
+      open,
+      paid,
+      createdAt: createdAt ?? new Date().toISOString(),
+      metafields: new Map(),
+      lineItems: lineItems.map(item => ({ fulfilled: 0, ...item, id: gid("LineItem", this.id()) }))
+    };
+    this.orders.set(order.id, order);
+    return order;
+  }
+
+  addDraftOrder(variantIds) {
+    const draftOrder = {
+      id: gid("DraftOrder", this.id()),
+      lineItems: variantIds.map(variantId => ({
+        id: gid("DraftOrderLineItem", this.id()),
+        variantId
+      }))
+    };
+    this.draftOrders.push(draftOrder);
+    return draftOrder;
+  }
+
+  addWebhookSubscription(topic, callbackUrl) {
+    const subscription = { id: gid("WebhookSubscription", this.id()), topic, callbackUrl };
+    this.webhookSubscriptions.set(subscription.id, subscription);
+    return subscription;
+  }
+
+  // Prices in the market are the shop price × rate unless fixed
+  addMarket({ handle, countries, currency, rate = 1, priceList = true }) {
+    const market = {
+      id: gid("Market", this.id()),
+      handle,
+      countries,
+      currency,
+      rate,
+      priceList: priceList ? { id: gid("PriceList", this.id()), currency } : null,
+      fixedPrices: new Map() // variantId → amount
+    };
+    this.markets.push(market);
+    return market;
+  }
+
+  /* --------------------------------
+     Lookups for assertions
+  -------------------------------- */
+  variantsOf(productId) {
+    return this.products.get(productId).variantIds.map(id => this.variants.get(id));
+  }
+
+  available(inventoryItemId, locationId) {
+    return this.inventoryLevels.get(inventoryItemId)?.get(locationId);
+  }
+
+  /* --------------------------------
+     fetch() stand-in
+  -------------------------------- */
+  async fetch(url, init = {}) {
+    const path = new URL(url).pathname.replace(/^\/admin\/api\/[^/]+\//, "");
+
+    if (path === "graphql.json") {
+      const { query, variables = {} } = JSON.parse(init.body);
+      return jsonResponse(this.graphql(query, variables));
+    }
+
+    return this.rest(init.method || "GET", path);
+  }
+
+  rest(method, path) {
+    this.calls.push(`${method} ${path}`);
+
+    if (method === "GET" && path === "checkouts.json") {
+      return jsonResponse({ checkouts: this.checkouts });
+    }
+    return jsonResponse({ errors: "Not Found" }, 404);
+  }
+
+  graphql(query, variables) {
+    const supported = /^\s*mutation\b/.test(query) ? MUTATIONS : QUERIES;
+    const data = {};
+
+    const cost = queryCost(query, variables);
+    if (cost > MAX_QUERY_COST) {
+      const message = `Query cost is ${cost}, which exceeds the single query max cost limit`;
+      return {
+        errors: [
+          {
+            message: `${message} (${MAX_QUERY_COST}).`,
+            extensions: { code: "MAX_COST_EXCEEDED", cost, maxCost: MAX_QUERY_COST }
+          }
+        ]
+      };
+    }
+
+    for (const field of rootFields(query)) {
+      if (!supported.includes(field)) {
+        throw new Error(`FakeShopify: unsupported field ${field}\n${query}`);
+      }
+      this.calls.push(field);
+      data[field] = this[`resolve${field[0].toUpperCase()}${field.slice(1)}`](variables, query);
+    }
+    return { data };
+  }
+
+  /* --------------------------------
+     Node shapes
+  -------------------------------- */
+  variantNode(variant) {
+    const product = this.products.get(variant.productId);
+    return {
+      id: variant.id,
+      title: variant.title,
+      price: variant.price,
+      createdAt: variant.createdAt,
+      updatedAt: variant.updatedAt,
+      inventoryItem: {
+        id: variant.inventoryItemId,
+        inventoryLevels: edges(
+          [...this.inventoryLevels.get(variant.inventoryItemId).keys()].map(locationId => ({
+            location: { id: locationId }
+          }))
+        )
+      },
+      product: {
+        id: product.id,
+        title: product.title,
+        metafields: metafieldEdges(product.metafields)
+      }
+    };
+  }
+
+  productNode(product, query = "", after = null) {
+    const variants = this.variantsOf(product.id).map(v => this.variantNode(v));
+    return {
+      id: product.id,
+      title: product.title,
+      options: product.options,
+      variantsCount: { count: product.variantIds.length },
+      metafields: metafieldEdges(product.metafields),
+      variants: edges(variants, { first: pageSize(query, "variants"), after })
+    };
+  }
+
+  marketNode(market) {
+    return {
+      id: market.id,
+      handle: market.handle,
+      priceList: market.priceList,
+      currencySettings: { baseCurrency: { currencyCode: market.currency } },
+      regions: edges(market.countries.map(code => ({ id: code, code })))
+    };
+  }
+
+  contextualPrice(variant, country) {
+    const market = this.markets.find(m => m.countries.includes(country));
+    if (!market) return { amount: variant.price, currencyCode: "EUR" };
+
+    const fixed = market.fixedPrices.get(variant.id);
+    return {
+      amount: fixed ?? money(Number(variant.price) * market.rate),
+      currencyCode: market.currency
+    };
+  }
+
+  ownerMetafields(ownerId) {
+    const owner =
+      this.variants.get(ownerId) || this.products.get(ownerId) || this.orders.get(ownerId);
+    if (!owner) throw new Error(`FakeShopify: unknown metafield owner ${ownerId}`);
+    return owner.metafields;
+  }
+
+  /* --------------------------------
+     Queries
+  -------------------------------- */
+  resolveShop() {
+    return this.shop;
+  }
+
+  resolveNodes({ ids }, query) {
+    return ids.map(id => {
+      if (this.products.has(id)) return this.productNode(this.products.get(id), query);
+      if (this.variants.has(id)) return this.variantNode(this.variants.get(id));
+      return null;
+    });
+  }
+
+  resolveProduct({ id }) {
+    const product = this.products.get(id);
+    return product ? this.productNode(product) : null;
+  }
+
+  resolveProductVariant({ id, country }, query) {
+    const variant = this.variants.get(id);
+    if (!variant) return null;
+
+    const key = /metafield\([^)]*key:\s*"(\w+)"/.exec(query)?.[1];
+    const value = key ? variant.metafields.get(key) : undefined;
+    return {
+      ...this.variantNode(variant),
+      metafield: value !== undefined ? { value } : null,
+      contextualPricing: { price: this.contextualPrice(variant, country) }
+    };
+  }
+
+  // Supports "product_id:<id> AND title:\"<title>\""
+  // Variants created with { indexed: false } are not found yet
+  resolveProductVariants({ variantQuery }) {
+    const productId = /product_id:(\d+)/.exec(variantQuery)?.[1];
+    const title = /title:"((?:[^"\\]|\\.)*)"/.exec(variantQuery)?.[1]?.replace(/\\(.)/g, "$1");
+
+    const matches = [...this.variants.values()].filter(
+      v =>
+        v.indexed &&
+        (!productId || numericId(v.productId) === productId) &&
+        (!title || v.title === title)
+    );
+    return edges(matches.map(v => this.variantNode(v)));
+  }
+
+  resolveProducts({ cursor = null }, query) {
+    return edges(
+      [...this.products.values()].map(p => this.productNode(p, query)),
+      { first: pageSize(query, "products"), after: cursor }
+    );
+  }
+
+  resolveCollection({ id, cursor = null }, query) {
+    const productIds = this.collections.get(id);
+    if (!productIds) return null;
+    return {
+      products: edges(
+        productIds.map(productId => this.productNode(this.products.get(productId), query)),
+        { first: pageSize(query, "products"), after: cursor }
+      )
+    };
+  }
+
+  resolveLocations() {
+    return edges(this.locations);
+  }
+
+  // One fulfillment order per location with assigned line items
+  fulfillmentOrderNodes(order, query = "", after = null) {
+    const byLocation = new Map();
+    for (const item of order.lineItems) {
+      if (!item.locationId) continue;
+      byLocation.set(item.locationId, [...(byLocation.get(item.locationId) || []), item]);
+    }
+
+    return [...byLocation].map(([locationId, items]) => ({
+      id: gid("FulfillmentOrder", `${numericId(order.id)}-${numericId(locationId)}`),
+      assignedLocation: { location: { id: locationId } },
+      lineItems: edges(
+        items.map(item => ({ id: `${item.id}-fo`, lineItem: { id: item.id } })),
+        { first: pageSize(query, "lineItems"), after }
+      )
+    }));
+  }
+
+  orderNode(order, query = "", after = null) {
+    return {
+      id: order.id,
+      name: order.name,
+      createdAt: order.createdAt,
+      lineItems: edges(
+        order.lineItems.map(item => this.lineItemNode(item)),
+        { first: pageSize(query, "lineItems"), after }
+      ),
+      fulfillmentOrders: edges(this.fulfillmentOrderNodes(order, query))
+    };
+  }
+
+  lineItemNode(item) {
+    const variant = this.variants.get(item.variantId);
+    const product = this.products.get(variant.productId);
+    const starter = variant.metafields.get("starter_variant_id");
+
+    return {
+      id: item.id,
+      title: product.title,
+      variantTitle: variant.title,
+      quantity: item.quantity,
+      unfulfilledQuantity: item.quantity - item.fulfilled,
+      customAttributes: Object.entries(item.properties ?? {}).map(([key, value]) => ({ key, value })),
+      product: { id: product.id, title: product.title },
+      variant: { id: variant.id, metafield: starter !== undefined ? { value: starter } : null }
+    };
+  }
+
+  resolveMarkets() {
+    return edges(this.markets.map(m => this.marketNode(m)));
+  }
+
+  resolveMarketByGeography({ country }) {
+    const market = this.markets.find(m => m.countries.includes(country));
+    return market ? this.marketNode(market) : null;
+  }
+
+  // Fixed prices only; supports "variant_id:<id>"
+  resolvePriceLists({ variantQuery = "" }) {
+    const variantId = /variant_id:(\d+)/.exec(variantQuery)?.[1];
+
+    return edges(
+      this.markets
+        .filter(m => m.priceList)
+        .map(m => ({
+          id: m.priceList.id,
+          prices: edges(
+            [...m.fixedPrices.keys()]
+              .filter(id => !variantId || numericId(id) === variantId)
+              .map(id => ({ variant: { id } }))
+          )
+        }))
+    );
+  }
+
+  resolveOrder({ id, cursor = null }, query) {
+    const order = this.orders.get(id);
+    if (!order) return null;
+
+    const key = /metafield\([^)]*key:\s*"(\w+)"/.exec(query)?.[1];
+    const value = key ? order.metafields.get(key) : undefined;
+    return {
+      ...this.orderNode(order, query),
+      fulfillmentOrders: edges(this.fulfillmentOrderNodes(order, query), {
+        first: pageSize(query, "fulfillmentOrders"),
+        after: cursor
+      }),
+      metafield: value !== undefined ? { value } : null
+    };
+  }
+
+  // Supports status:open, financial_status:paid, fulfillment_status and created_at bounds
+  resolveOrders({ search = "", cursor = null }, query) {
+    const after = /created_at:>='([^']+)'/.exec(search)?.[1];
+    const before = /created_at:<='([^']+)'/.exec(search)?.[1];
+    const unfulfilled = order => order.lineItems.some(item => item.fulfilled < item.quantity);
+
+    const orders = [...this.orders.values()].filter(
+      o =>
+        o.open &&
+        (!search.includes("financial_status:paid") || o.paid) &&
+        (!search.includes("fulfillment_status:") || unfulfilled(o)) &&
+        (!after || o.createdAt >= after) &&
+        (!before || o.createdAt <= before)
+    );
+    return edges(
+      orders.map(o => this.orderNode(o, query)),
+      { first: pageSize(query, "orders"), after: cursor }
+    );
+  }
+
+  draftOrderNode(draftOrder, query = "", after = null) {
+    return {
+      id: draftOrder.id,
+      lineItems: edges(
+        draftOrder.lineItems.map(item => ({ id: item.id, variant: { id: item.variantId } })),
+        { first: pageSize(query, "lineItems"), after }
+      )
+    };
+  }
+
+  resolveDraftOrders({ cursor = null }, query) {
+    return edges(
+      this.draftOrders.map(d => this.draftOrderNode(d, query)),
+      { first: pageSize(query, "draftOrders"), after: cursor }
+    );
+  }
+
+  // node(id:) with a cursor for the nested connection (loadRemainingEdges)
+  resolveNode({ id, cursor = null }, query) {
+    if (this.products.has(id)) return this.productNode(this.products.get(id), query, cursor);
+    if (this.orders.has(id)) return this.orderNode(this.orders.get(id), query, cursor);
+
+    const draftOrder = this.draftOrders.find(d => d.id === id);
+    if (draftOrder) return this.draftOrderNode(draftOrder, query, cursor);
+
+    const fulfillmentOrder = [...this.orders.values()]
+      .flatMap(order => this.fulfillmentOrderNodes(order, query, cursor))
+      .find(node => node.id === id);
+    return fulfillmentOrder ?? null;
+  }
+
+  resolveWebhookSubscriptions() {
+    return edges(
+      [...this.webhookSubscriptions.values()].map(s => ({
+        id: s.id,
+        topic: s.topic,
+        endpoint: { __typename: "WebhookHttpEndpoint", callbackUrl: s.callbackUrl }
+      }))
+    );
+  }
+
+  /* --------------------------------
+     Mutations
+  -------------------------------- */
+  resolveMetafieldsSet({ metafields, input }) {
+    for (const { ownerId, key, value } of metafields || [input]) {
+      this.ownerMetafields(ownerId).set(key, value);
+    }
+    return { metafields: [], userErrors: [] };
+  }
+
+  resolveProductOptionUpdate({ productId, option }) {
+    const target = this.products.get(productId)?.options.find(o => o.id === option.id);
+    if (!target) return { userErrors: [{ field: ["option"], message: "Option does not exist" }] };
+
+    target.name = option.name;
+    return { userErrors: [] };
+  }
+
+  resolveProductVariantsBulkCreate({ productId, variants }) {
+    const product = this.products.get(productId);
+    if (!product) return { productVariants: null, userErrors: [{ message: "Product does not exist" }] };
+
+    const created = [];
+    for (const input of variants) {
+      const title = input.optionValues.map(o => o.name).join(" / ");
+      if (this.variantsOf(productId).some(v => v.title === title)) {
+        return {
+          productVariants: null,
+          userErrors: [
+            { message: `Variant '${title}' already exists`, code: "VARIANT_ALREADY_EXISTS" }
+          ]
+        };
+      }
+
+      const stock = Object.fromEntries(
+        (input.inventoryQuantities || []).map(q => [q.locationId, q.availableQuantity])
+      );
+      const variant = this.addVariant(productId, { title, price: input.price, stock });
+      for (const { key, value } of input.metafields || []) variant.metafields.set(key, value);
+      created.push({ id: variant.id });
+    }
+
+    return { productVariants: created, userErrors: [] };
+  }
+
+  resolveProductVariantsBulkUpdate({ variants }) {
+    for (const input of variants) {
+      const variant = this.variants.get(input.id);
+      if (!variant) return { productVariants: null, userErrors: [{ message: "Variant does not exist" }] };
+
+      if (input.price !== undefined) variant.price = money(input.price);
+      if (input.optionValues) variant.title = input.optionValues.map(o => o.name).join(" / ");
+      for (const { key, value } of input.metafields || []) variant.metafields.set(key, value);
+      variant.updatedAt = new Date().toISOString();
+    }
+    return { productVariants: variants.map(v => ({ id: v.id })), userErrors: [] };
+  }
+
+  resolveProductVariantsBulkDelete({ productId, variantsIds }) {
+    const product = this.products.get(productId);
+    for (const id of variantsIds) {
+      this.variants.delete(id);
+      product.variantIds = product.variantIds.filter(variantId => variantId !== id);
+    }
+    return { product: { id: productId }, userErrors: [] };
+  }
+
+  resolveInventoryAdjustQuantities({ input }) {
+    for (const { inventoryItemId, locationId, delta } of input.changes) {
+      const levels = this.inventoryLevels.get(inventoryItemId);
+      if (!levels?.has(locationId)) {
+        return { userErrors: [{ field: ["input"], message: "Item is not stocked at the location" }] };
+      }
+      levels.set(locationId, levels.get(locationId) + delta);
+    }
+    return { userErrors: [] };
+  }
+
+  resolveWebhookSubscriptionCreate({ topic, callbackUrl }) {
+    const subscription = this.addWebhookSubscription(topic, callbackUrl);
+    return { webhookSubscription: { id: subscription.id }, userErrors: [] };
+  }
+
+  resolveWebhookSubscriptionUpdate({ id, callbackUrl }) {
+    const subscription = this.webhookSubscriptions.get(id);
+    if (!subscription) return { webhookSubscription: null, userErrors: [{ message: "Not found" }] };
+
+    subscription.callbackUrl = callbackUrl;
+    return { webhookSubscription: { id }, userErrors: [] };
+  }
+
+  resolvePriceListFixedPricesAdd({ priceListId, prices }) {
+    const market = this.markets.find(m => m.priceList?.id === priceListId);
+    if (!market) return { prices: [], userErrors: [{ message: "Price list not found" }] };
+
+    for (const { variantId, price } of prices) {
+      market.fixedPrices.set(variantId, price.amount);
+    }
+    return { prices: prices.map(p => ({ variant: { id: p.variantId } })), userErrors: [] };
+  }
+
+  resolvePriceListFixedPricesDelete({ priceListId, variantIds }) {
+    const market = this.markets.find(m => m.priceList?.id === priceListId);
+    if (!market) {
+      return { deletedFixedPriceVariantIds: [], userErrors: [{ message: "Price list not found" }] };
+    }
+
+    const deleted = variantIds.filter(id => market.fixedPrices.delete(id));
+    return { deletedFixedPriceVariantIds: deleted, userErrors: [] };
+  }
+
+  resolveWebhookSubscriptionDelete({ id }) {
+    if (!this.webhookSubscriptions.delete(id)) {
+      return { deletedWebhookSubscriptionId: null, userErrors: [{ message: "Not found" }] };
+    }
+    return { deletedWebhookSubscriptionId: id, userErrors: [] };
+  }
+}
+
+// Root fields the fake answers
+const QUERIES = [
+  "shop",
+  "node",
+  "nodes",
+  "productVariants",
+  "productVariant",
+  "products",
+  "product",
+  "collection",
+  "locations",
+  "orders",
+  "order",
+  "draftOrders",
+  "webhookSubscriptions",
+  "markets",
+  "marketByGeography",
+  "priceLists"
+];
+
+const MUTATIONS = [
+  "metafieldsSet",
+  "productOptionUpdate",
+  "productVariantsBulkCreate",
+  "productVariantsBulkUpdate",
+  "productVariantsBulkDelete",
+  "inventoryAdjustQuantities",
+  "webhookSubscriptionCreate",
+  "webhookSubscriptionUpdate",
+  "webhookSubscriptionDelete",
+  "priceListFixedPricesAdd",
+  "priceListFixedPricesDelete"
+];
+
+// Fields directly inside the operation's selection set
+function rootFields(query) {
+  const fields = [];
+  let depth = 0;
+
+  for (const match of query.matchAll(/[{}]|\b(\w+)\s*(?=[({])/g)) {
+    if (match[0] === "{") depth++;
+    else if (match[0] === "}") depth--;
+    else if (depth === 1) fields.push(match[1]);
+  }
+  return fields;
+}
+
+/* -------------------------------------------------
+   Requested query cost
+   Shopify's static estimate: scalars 0, objects 1,
+   connections 2 + first × the cost of one edge,
+   mutations 10 extra. A single query above 1000 fails
+   with MAX_COST_EXCEEDED.
+-------------------------------------------------- */
+const MAX_QUERY_COST = 1000;
+
+function parseSelections(tokens) {
+  const fields = [];
+
+  while (tokens.length > 0 && tokens[0] !== "}") {
+    const field = { name: tokens.shift(), args: "", children: null };
+    if (field.name === "...") tokens.splice(0, 2); // on <Type>
+    if (tokens[0]?.startsWith("(")) field.args = tokens.shift();
+    if (tokens[0] === "{") {
+      tokens.shift();
+      field.children = parseSelections(tokens);
+      tokens.shift();
+    }
+    fields.push(field);
+  }
+  return fields;
+}
+
+function argValue(args, name, variables) {
+  const value = new RegExp(`\\b${name}:\\s*(\\$?\\w+)`).exec(args)?.[1];
+  if (value === undefined) return undefined;
+  return value.startsWith("$") ? variables[value.slice(1)] : Number(value);
+}
+
+function selectionCost(fields, variables) {
+  return fields.reduce((sum, field) => sum + fieldCost(field, variables), 0);
+}
+
+function fieldCost({ name, args, children }, variables) {
+  if (!children) return 0;
+  if (name === "..." || name === "edges") return selectionCost(children, variables);
+
+  const size = argValue(args, "first", variables) ?? argValue(args, "last", variables);
+  if (size === undefined) {
+    // nodes(ids:) costs one object per id
+    const ids = argValue(args, "ids", variables);
+    return (Array.isArray(ids) ? ids.length : 1) * (1 + selectionCost(children, variables));
+  }
+
+  const perItem = children.filter(c => c.name === "edges" || c.name === "nodes");
+  const rest = children.filter(c => !perItem.includes(c));
+  return 2 + size * selectionCost(perItem, variables) + selectionCost(rest, variables);
+}
+
+function queryCost(query, variables = {}) {
+  const tokens = query.match(/\([^()]*\)|\.\.\.|[{}]|[\w$]+/g) || [];
+  const start = tokens.indexOf("{");
+  const cost = selectionCost(parseSelections(tokens.slice(start + 1)), variables);
+  return /^\s*mutation\b/.test(query) ? cost + 10 : cost;
+}
+
+function metafieldEdges(metafields) {
+  return edges([...metafields].map(([key, value]) => ({ key, value })));
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" }
+  });
+}
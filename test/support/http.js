@@ -0,0 +1,71 @@
+// shopify-custom-price/test/support/http.js
+import crypto from "crypto";
+import { Readable } from "stream";
+import { MemoryAuditLog, setAuditLog } from "../../lib/audit.js";
+import { MemoryStore, setStore } from "../../lib/kv.js";
+import { setFetch } from "../../lib/shopify.js";
+import { FakeShopify } from "./fake-shopify.js";
+
+/* -------------------------------------------------
+   Fresh fake shop + empty store and audit log per test
+-------------------------------------------------- */
+export function useFakeShop() {
+  const shop = new FakeShopify();
+  setFetch(shop.fetch);
+  setStore(new MemoryStore());
+  setAuditLog(new MemoryAuditLog());
+  return shop;
+}
+
+/* -------------------------------------------------
+   Vercel-style request / response doubles
+-------------------------------------------------- */
+export function mockRequest({ method = "POST", body = {}, query = {}, headers = {} } = {}) {
+  return { method, body, query, headers, socket: { remoteAddress: "127.0.0.1" } };
+}
+
+export function mockResponse() {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  res.send = body => {
+    res.body = body;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  return res;
+}
+
+// Calls a handler and returns the response double
+export async function invoke(handler, request) {
+  const res = mockResponse();
+  await handler(mockRequest(request), res);
+  return res;
+}
+
+/* -------------------------------------------------
+   Webhook delivery (raw body stream + HMAC header)
+-------------------------------------------------- */
+export function webhookRequest(payload, secret = process.env.SHOPIFY_WEBHOOK_SECRET) {
+  const rawBody = JSON.stringify(payload);
+  const req = Readable.from([Buffer.from(rawBody)]);
+  req.method = "POST";
+  req.headers = {
+    "x-shopify-hmac-sha256": crypto.createHmac("sha256", secret).update(rawBody).digest("base64")
+  };
+  return req;
+}
+
+export async function deliverWebhook(handler, payload, secret) {
+  const res = mockResponse();
+  await handler(webhookRequest(payload, secret), res);
+  return res;
+}